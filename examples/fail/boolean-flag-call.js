@@ -0,0 +1,7 @@
+function openPanel(panel, animate, focus) {
+  panel.show({ animate, focus });
+}
+
+export function openSettings(panel) {
+  openPanel(panel, true, false); // expect: inhuman/no-boolean-flag-params@booleanFlagArgument:20, inhuman/no-boolean-flag-params@booleanFlagArgument:26
+}
@@ -0,0 +1,3 @@
+export function renderTree(node: string, expanded: boolean, highlight = false) { // expect: inhuman/no-boolean-flag-params@booleanFlagParam:42, inhuman/no-boolean-flag-params@booleanFlagParam:61
+  return `${node}:${expanded}:${highlight}`;
+}
@@ -0,0 +1,8 @@
+export function isValidUrl(candidate) {
+  try {
+    new URL(candidate);
+    return true;
+  } catch { // expect: inhuman/no-silent-fallback-returns@silentCatchFallback:5, inhuman/no-swallowed-catch@discardedCatchError:11
+    return false;
+  }
+}
@@ -0,0 +1,9 @@
+export async function loadProfile(api, setLoading) {
+  setLoading(true);
+  try {
+    return await api.fetchProfile();
+  } catch (err) { // expect: inhuman/no-swallowed-catch@discardedCatchError:12
+    setLoading(false);
+    return null;
+  }
+}
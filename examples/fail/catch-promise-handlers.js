@@ -0,0 +1,6 @@
+export async function warmCaches(cache, metrics) {
+  cache.prefetch("users").catch(() => {}); // expect: inhuman/no-swallowed-catch@noSwallowedCatch:39
+  metrics.flush().then(() => metrics.reset(), () => undefined); // expect: inhuman/no-swallowed-catch@noSwallowedCatch:47
+  const settings = await cache.load("settings").catch(() => null); // expect: inhuman/no-swallowed-catch@noSwallowedCatch:55
+  return settings;
+}
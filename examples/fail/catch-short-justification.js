@@ -0,0 +1,7 @@
+export function removeTempDir(fs, dir) {
+  try {
+    fs.rmSync(dir, { recursive: true });
+  } catch {
+    // inhuman-ignore: fine
+  }
+}
@@ -3,4 +3,4 @@ async function main() {
 	await runBuild(inputs);
 }
 
-export default main;
+export default main; // expect: inhuman/export-code-last@noDefaultExportIdentifier:1
@@ -0,0 +1,8 @@
+// `<header>` is an intrinsic element, not a use of the `header` binding.
+const header = { title: "Dashboard" };
+
+export function Layout() {
+	return <header>Welcome</header>;
+}
+
+export default header; // expect: inhuman/export-code-last@noDefaultExportIdentifier:1
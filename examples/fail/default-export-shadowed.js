@@ -0,0 +1,9 @@
+const cache = new Map();
+
+export function remember(key, value) {
+	// This `cache` is a parameter, so the module-level one is never used.
+	const store = (cache) => cache.set(key, value);
+	return store(new Map());
+}
+
+export default cache; // expect: inhuman/export-code-last@noDefaultExportIdentifier:1
@@ -2,4 +2,4 @@ const settings = {
 	mode: "local",
 };
 
-export default settings;
+export default settings; // expect: inhuman/export-code-last@noDefaultExportIdentifier:1
@@ -0,0 +1,4 @@
+var defaults = { retries: 1 };
+var defaults = { retries: 3 };
+
+export default defaults; // expect: inhuman/export-code-last@noDefaultExportIdentifier:1
@@ -0,0 +1,10 @@
+export function getShippingCost(order) {
+  if (order.total >= 100) {
+    return 0;
+  } else if (order.express) {
+    throw new Error("Express shipping is not available.");
+  } else {
+    const cost = order.weight * 2;
+    return cost;
+  }
+}
@@ -0,0 +1,10 @@
+export function getTier(score) {
+  if (score >= 90) {
+    return "A";
+  }
+  if (score >= 80) { // expect: inhuman/no-else@noElse:10
+    return "B";
+  }
+
+  return "C";
+}
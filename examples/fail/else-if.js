@@ -1,7 +1,7 @@
 export function getTier(score) {
   if (score >= 90) {
     return "A";
-  } else if (score >= 80) {
+  } else if (score >= 80) { // expect: inhuman/no-else@noElse:10
     return "B";
   }
 
@@ -1,7 +1,7 @@
 export function formatName(user) {
   if (!user) {
     return "anonymous";
-  } else {
+  } else { // expect: inhuman/no-else@noElse:10
     return user.name;
   }
 }
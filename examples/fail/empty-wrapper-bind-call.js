@@ -0,0 +1,7 @@
+import { cache, serialize } from "./storage";
+
+export const readCache = cache.read.bind(cache); // expect: inhuman/no-empty-wrappers@noEmptyWrapper:26
+
+export function toJson(value) { // expect: inhuman/no-empty-wrappers@noEmptyWrapper:8
+	return serialize.call(this, value);
+}
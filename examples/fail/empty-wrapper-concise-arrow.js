@@ -0,0 +1,3 @@
+import { userRepository } from "./repositories";
+
+export const findUser = (id) => userRepository.findById(id); // expect: inhuman/no-empty-wrappers@noEmptyWrapper:25
@@ -0,0 +1,5 @@
+import { writeLog } from "./log";
+
+export const log = function (...entries) { // expect: inhuman/no-empty-wrappers@noEmptyWrapper:20
+	return writeLog(...entries);
+};
@@ -1,8 +1,8 @@
-async function doWork(assetsDir: string, dryRun: boolean): Promise<void> {
+async function doWork(assetsDir: string, dryRun: boolean): Promise<void> { // expect: inhuman/no-boolean-flag-params@booleanFlagParam:42
   void assetsDir;
   void dryRun;
 }
 
-export async function ensureItemsGroup(assetsDir: string, dryRun: boolean): Promise<void> {
+export async function ensureItemsGroup(assetsDir: string, dryRun: boolean): Promise<void> { // expect: inhuman/no-empty-wrappers@noEmptyWrapper:8, inhuman/no-boolean-flag-params@booleanFlagParam:59
   await doWork(assetsDir, dryRun);
 }
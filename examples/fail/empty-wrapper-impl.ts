@@ -1,8 +1,8 @@
-async function ensureItemsGroupImpl(assetsDir: string, dryRun: boolean): Promise<void> {
+async function ensureItemsGroupImpl(assetsDir: string, dryRun: boolean): Promise<void> { // expect: inhuman/no-boolean-flag-params@booleanFlagParam:56
   void assetsDir;
   void dryRun;
 }
 
-export async function ensureItemsGroup(assetsDir: string, dryRun: boolean): Promise<void> {
+export async function ensureItemsGroup(assetsDir: string, dryRun: boolean): Promise<void> { // expect: inhuman/no-empty-wrappers@noEmptyWrapper:8, inhuman/no-boolean-flag-params@booleanFlagParam:59
   await ensureItemsGroupImpl(assetsDir, dryRun);
 }
@@ -0,0 +1,8 @@
+import { http } from "./http";
+
+export default {
+	fetchOrders(query) { // expect: inhuman/no-empty-wrappers@noEmptyWrapper:13
+		return http.get(query);
+	},
+	cancelOrder: (orderId) => http.delete(orderId), // expect: inhuman/no-empty-wrappers@noEmptyWrapper:15
+};
@@ -0,0 +1,7 @@
+import { mailer } from "./mailer";
+
+export class Notifications {
+	static send(message, recipient) { // expect: inhuman/no-empty-wrappers@noEmptyWrapper:13
+		return mailer.deliver(message, recipient);
+	}
+}
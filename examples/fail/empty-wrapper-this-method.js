@@ -0,0 +1,6 @@
+export const session = {
+	token: null,
+	refresh(force) { // expect: inhuman/no-empty-wrappers@noEmptyWrapper:9
+		return this.client.refresh(force);
+	},
+};
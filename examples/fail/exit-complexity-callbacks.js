@@ -0,0 +1,14 @@
+export function indexComments(threads) {
+  const index = new Map();
+  threads.forEach((thread) => {
+    thread.comments.forEach((comment) => {
+      // expect: inhuman/require-guard-clauses@requireGuardClause:7
+      if (comment.visible) {
+        for (const tag of comment.tags) { // expect: inhuman/max-function-exit-complexity@maxExitComplexity:9
+          index.set(tag, comment.id);
+        }
+      }
+    });
+  });
+  return index;
+}
@@ -0,0 +1,13 @@
+export function applyDiscounts(carts, rules) {
+  for (const cart of carts) {
+    try {
+      if (cart.items.length > 0) {
+        for (const rule of rules) { // expect: inhuman/max-function-exit-complexity@maxExitComplexity:9
+          cart.total -= rule.amount;
+        }
+      }
+    } catch (error) {
+      cart.error = error;
+    }
+  }
+}
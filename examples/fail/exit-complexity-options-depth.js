@@ -0,0 +1,7 @@
+export function countActive(sessions) {
+  let active = 0;
+  for (const session of sessions) {
+    if (session.expiresAt > Date.now()) active += 1; // expect: inhuman/max-function-exit-complexity@maxExitComplexity:5
+  }
+  return active;
+}
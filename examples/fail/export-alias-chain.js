@@ -4,4 +4,4 @@ const api = {
   },
 };
 
-export const cfSafeGoto = api?.nested.cfSafeGotoImpl;
+export const cfSafeGoto = api?.nested.cfSafeGotoImpl; // expect: inhuman/export-code-last@noExportAlias:1
@@ -2,4 +2,4 @@ const api = {
   cfSafeGotoImpl: () => {},
 };
 
-export const cfSafeGoto = api.cfSafeGotoImpl;
+export const cfSafeGoto = api.cfSafeGotoImpl; // expect: inhuman/export-code-last@noExportAlias:1
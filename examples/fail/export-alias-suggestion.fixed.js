@@ -0,0 +1,3 @@
+const loadUserImpl = (id) => ({ id });
+
+export const loadUser = loadUserImpl; // expect: inhuman/export-code-last@noExportAlias:1
@@ -3,7 +3,7 @@ const detectCloudflareMarkerImpl = () => {};
 const waitForCloudflareClearImpl = () => {};
 const withCfApiChallengeGuardImpl = () => {};
 
-export const cfSafeGoto = cfSafeGotoImpl;
-export const detectCloudflareMarker = detectCloudflareMarkerImpl;
-export const waitForCloudflareClear = waitForCloudflareClearImpl;
-export const withCfApiChallengeGuard = withCfApiChallengeGuardImpl;
+export const cfSafeGoto = cfSafeGotoImpl; // expect: inhuman/export-code-last@noExportAlias:1
+export const detectCloudflareMarker = detectCloudflareMarkerImpl; // expect: inhuman/export-code-last@noExportAlias:1
+export const waitForCloudflareClear = waitForCloudflareClearImpl; // expect: inhuman/export-code-last@noExportAlias:1
+export const withCfApiChallengeGuard = withCfApiChallengeGuardImpl; // expect: inhuman/export-code-last@noExportAlias:1
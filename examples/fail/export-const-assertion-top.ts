@@ -0,0 +1,7 @@
+export const SIZES = ["sm", "md", "lg"] as const; // expect: inhuman/export-code-last@exportsLast:1
+
+const lastOffset = 1;
+
+export function sizeOrLargest(size?: string) {
+  return size ?? SIZES[SIZES.length - lastOffset];
+}
@@ -0,0 +1,10 @@
+export enum Priority { // expect: inhuman/export-code-last@exportsLast:1
+  Low,
+  High,
+}
+
+const escalate = true;
+
+export function withDefault(priority?: Priority) {
+  return priority ?? (escalate ? Priority.High : Priority.Low);
+}
@@ -0,0 +1,8 @@
+// Object.freeze is shallow, so the nested object stays mutable.
+export const THEME = Object.freeze({ colors: { primary: "#000" } }); // expect: inhuman/export-code-last@exportsLast:1
+
+const fallbackColor = "#fff";
+
+export function primaryColor() {
+  return THEME.colors.primary ?? fallbackColor;
+}
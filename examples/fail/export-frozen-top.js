@@ -0,0 +1,7 @@
+export const STATUSES = Object.freeze(["open", "closed"]); // expect: inhuman/export-code-last@exportsLast:1
+
+const fallbackIndex = 0;
+
+export function pickStatus(status) {
+  return status ?? STATUSES[fallbackIndex];
+}
@@ -0,0 +1,7 @@
+export function useToggle(initial) { // expect: inhuman/export-code-last@exportsLast:1
+  return { on: Boolean(initial), toggle: () => invert(initial) };
+}
+
+function invert(value) {
+  return !value;
+}
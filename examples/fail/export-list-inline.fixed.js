@@ -0,0 +1,6 @@
+export function parse(text) {
+  return JSON.parse(text);
+}
+
+export const serialize = (value) => JSON.stringify(value);
+
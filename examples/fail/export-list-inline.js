@@ -0,0 +1,7 @@
+function parse(text) {
+  return JSON.parse(text);
+}
+
+const serialize = (value) => JSON.stringify(value);
+
+export { parse, serialize }; // expect: inhuman/export-code-last@noExportSpecifiers:1
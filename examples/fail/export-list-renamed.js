@@ -0,0 +1,5 @@
+function bar() {
+  return "bar";
+}
+
+export { bar as baz }; // expect: inhuman/export-code-last@noExportSpecifiers:1
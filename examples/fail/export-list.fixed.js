@@ -0,0 +1,8 @@
+function a () {
+
+}
+
+export function b () {
+  console.log(a());
+}
+
@@ -6,4 +6,4 @@ function b () {
   console.log(a());
 }
 
-export { b };
+export { b }; // expect: inhuman/export-code-last@noExportSpecifiers:1
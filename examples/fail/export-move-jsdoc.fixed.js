@@ -0,0 +1,11 @@
+// Shown when a user never set a name.
+const fallbackName = "anonymous";
+
+/**
+ * Trim a display name for rendering.
+ * @param {string} value
+ * @returns {string}
+ */
+export function formatName(value) { // expect: inhuman/export-code-last@exportsLast:1
+  return value.trim() || fallbackName;
+}
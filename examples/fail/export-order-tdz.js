@@ -0,0 +1,7 @@
+export const handlers = new Map(); // expect: inhuman/export-code-last@exportOrderTdz:1
+
+function registerHandler(name, handler) {
+  handlers.set(name, handler);
+}
+
+registerHandler("ping", () => "pong");
@@ -0,0 +1,7 @@
+export const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+$/u; // expect: inhuman/export-code-last@exportsLast:1
+
+const maxLength = 254;
+
+export function isEmail(value) {
+  return value.length <= maxLength && EMAIL_PATTERN.test(value);
+}
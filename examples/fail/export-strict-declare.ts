@@ -0,0 +1,9 @@
+export declare class Telemetry { // expect: inhuman/export-code-last@exportsLast:1
+  send(event: string): void;
+}
+
+const channel = "events";
+
+export function eventName(event: string) {
+  return `${channel}:${event}`;
+}
@@ -0,0 +1,7 @@
+const suffix = "!";
+
+export function shout(value) {
+  return format(value) + suffix;
+}
+
+export const format = (value) => String(value).trim(); // expect: inhuman/export-code-last@exportsLast:1
@@ -1,4 +1,4 @@
-export const format = (value) => String(value).trim();
+export const format = (value) => String(value).trim(); // expect: inhuman/export-code-last@exportsLast:1
 
 const suffix = "!";
 
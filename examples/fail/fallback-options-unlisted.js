@@ -0,0 +1,7 @@
+export function loadProfile(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch { // expect: inhuman/no-silent-fallback-returns@silentCatchFallback:5
+    return null;
+  }
+}
@@ -0,0 +1,8 @@
+export function readLock(fs, path) {
+  let contents = "";
+  try {
+    contents = fs.readFileSync(path, "utf8");
+  } finally {
+    return contents; // expect: inhuman/no-swallowed-catch@finallyReturn:5
+  }
+}
@@ -0,0 +1,4 @@
+export const formatPrice = (amount: number, withCurrency: boolean, rounded: boolean) => { // expect: inhuman/no-boolean-flag-params@booleanFlagParam:45, inhuman/no-boolean-flag-params@booleanFlagParam:68
+  const value = rounded ? Math.round(amount) : amount;
+  return withCurrency ? `$${value}` : `${value}`;
+};
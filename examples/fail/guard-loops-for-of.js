@@ -0,0 +1,9 @@
+export function publishAll(posts, feed) {
+  for (const post of posts) {
+    // expect: inhuman/require-guard-clauses@requireLoopGuardClause:5
+    if (post.approved) {
+      feed.push(post.slug);
+      post.publishedAt = Date.now();
+    }
+  }
+}
@@ -0,0 +1,10 @@
+export function sumPositive(values) {
+  let total = 0;
+  for (let index = 0; index < values.length; index += 1) {
+    // expect: inhuman/require-guard-clauses@requireLoopGuardClause:5
+    if (values[index] > 0) {
+      total += values[index];
+    }
+  }
+  return total;
+}
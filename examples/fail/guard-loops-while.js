@@ -0,0 +1,12 @@
+export function drain(queue, worker) {
+  while (queue.length > 0) {
+    const job = queue.shift();
+    if (job) worker.run(job);
+  }
+  for (const pending of worker.backlog) {
+    // expect: inhuman/require-guard-clauses@requireLoopGuardClause:5
+    if (!pending.cancelled) {
+      worker.run(pending);
+    }
+  }
+}
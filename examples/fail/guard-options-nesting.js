@@ -0,0 +1,12 @@
+export function notifyOwner(ticket, mailer) {
+  if (!ticket.closed) return;
+
+  if (ticket.owner) {
+    if (ticket.owner.email) {
+      // expect: inhuman/require-guard-clauses@maxNestingDepth:7
+      if (ticket.owner.subscribed) {
+        mailer.send(ticket.owner.email, ticket.title);
+      }
+    }
+  }
+}
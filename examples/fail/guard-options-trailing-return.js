@@ -0,0 +1,8 @@
+export function buildLabel(item) {
+  // expect: inhuman/require-guard-clauses@requireGuardClause:3
+  if (item.visible) {
+    const prefix = item.pinned ? "*" : "";
+    item.label = `${prefix}${item.name}`;
+  }
+  return item;
+}
@@ -0,0 +1,3 @@
+export function getShippingLabel(order) {
+  return order.express ? "Express" : order.international ? "International" : "Standard"; // expect: inhuman/no-nested-ternary-chains@nestedTernary:38
+}
@@ -1,4 +1,4 @@
-export const CONFIG = { retries: 3 };
+export const CONFIG = { retries: 3 }; // expect: inhuman/export-code-last@exportsLast:1
 
 function compute(value: string) {
   return value.trim();
@@ -0,0 +1,5 @@
+import { VERSION } from "./settings.js";
+
+export function describeApp() {
+	return `app@${VERSION}`;
+}
@@ -0,0 +1,6 @@
+const records = [];
+
+export function save(record) {
+	records.push({ ...record, savedAt: Date.now() });
+	return records.length;
+}
@@ -0,0 +1 @@
+export { save } from "./repository.js"; // expect: inhuman/no-empty-wrappers@reExportModule:1
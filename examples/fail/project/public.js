@@ -0,0 +1 @@
+export * from "./index.js"; // expect: inhuman/no-empty-wrappers@reExportModule:1
@@ -0,0 +1,6 @@
+import * as db from "./db.js";
+
+// The callee is a member of an imported project namespace, so this forwards it as well.
+export function save(record) { // expect: inhuman/no-empty-wrappers@noEmptyWrapper:8
+	return db.save(record);
+}
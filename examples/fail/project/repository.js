@@ -0,0 +1,6 @@
+import { save as persist } from "./db.js";
+
+// Forwards a project module, so `allowModuleBoundary` does not exempt it.
+export function save(record) { // expect: inhuman/no-empty-wrappers@noEmptyWrapper:8
+	return persist(record);
+}
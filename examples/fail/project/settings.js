@@ -0,0 +1,11 @@
+export const VERSION = "1.0.0";
+
+const settings = { mode: "local" };
+
+function currentMode() {
+	return settings.mode;
+}
+
+currentMode();
+
+export default settings; // expect: inhuman/export-code-last@unusedDefaultExport:1
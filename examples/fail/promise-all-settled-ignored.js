@@ -0,0 +1,4 @@
+export async function notifyAll(subscribers, message) {
+  await Promise.allSettled(subscribers.map((subscriber) => subscriber.send(message))); // expect: inhuman/no-swallowed-catch@uninspectedAllSettled:9
+  return subscribers.length;
+}
@@ -0,0 +1,9 @@
+class VError extends Error {}
+
+export function readConfig(fs, file) {
+  try {
+    return fs.readFileSync(file, "utf8");
+  } catch (readError) {
+    throw new VError(`Cannot read ${file}`); // expect: inhuman/no-catch-rethrow-without-cause@rethrowWithoutCause:11
+  }
+}
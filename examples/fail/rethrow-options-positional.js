@@ -0,0 +1,9 @@
+class WrappedError extends Error {}
+
+export function parseManifest(text) {
+  try {
+    return JSON.parse(text);
+  } catch (parseError) {
+    throw new WrappedError("Manifest is not valid JSON"); // expect: inhuman/no-catch-rethrow-without-cause@rethrowWithoutCause:11
+  }
+}
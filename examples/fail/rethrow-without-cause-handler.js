@@ -0,0 +1,5 @@
+export function syncContacts(client) {
+  return client.fetchContacts().catch((reason) => {
+    throw new TypeError("Contact sync failed", {}); // expect: inhuman/no-catch-rethrow-without-cause@rethrowWithoutCause:11
+  });
+}
@@ -0,0 +1,7 @@
+export async function loadInvoice(api, id) {
+  try {
+    return await api.get(`/invoices/${id}`);
+  } catch (error) {
+    throw new Error(`Could not load invoice ${id}`); // expect: inhuman/no-catch-rethrow-without-cause@rethrowWithoutCause:11
+  }
+}
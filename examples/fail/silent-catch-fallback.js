@@ -0,0 +1,7 @@
+export function readSettings(storage) {
+  try {
+    return JSON.parse(storage.getItem("settings"));
+  } catch { // expect: inhuman/no-silent-fallback-returns@silentCatchFallback:5
+    return {};
+  }
+}
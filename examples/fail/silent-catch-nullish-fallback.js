@@ -0,0 +1,7 @@
+export async function getRecentOrders(client, cache) {
+  try {
+    return await client.orders.recent();
+  } catch (error) { // expect: inhuman/no-silent-fallback-returns@silentCatchFallback:5
+    return cache.orders ?? [];
+  }
+}
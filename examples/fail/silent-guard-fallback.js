@@ -0,0 +1,7 @@
+export async function listInvoices(api) {
+  const response = await api.fetch("/invoices");
+  if (!response.ok) return []; // expect: inhuman/no-silent-fallback-returns@silentGuardFallback:3
+
+  const data = await response.json();
+  return data.items;
+}
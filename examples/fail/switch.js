@@ -1,5 +1,5 @@
 export function renderStatus(status) {
-  switch (status) {
+  switch (status) { // expect: inhuman/no-switch@noSwitch:3
     case "ok":
       return "ok";
     default:
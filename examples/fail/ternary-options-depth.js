@@ -0,0 +1,9 @@
+export function getPriority(ticket) {
+  return ticket.blocker
+    ? "P0"
+    : ticket.customerFacing
+      ? ticket.escalated // expect: inhuman/no-nested-ternary-chains@nestedTernary:9
+        ? "P1"
+        : "P2"
+      : "P3";
+}
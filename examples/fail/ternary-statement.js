@@ -0,0 +1,3 @@
+export function toggleMenu(menu) {
+  menu.isOpen ? menu.close() : menu.open(); // expect: inhuman/no-nested-ternary-chains@ternaryStatement:3
+}
@@ -0,0 +1,8 @@
+export function applyDiscount(order, threshold) {
+  // expect: inhuman/require-guard-clauses@requireGuardClause:3
+  if (order.total >= threshold) {
+    // Loyal customers get the bigger discount.
+    const rate = order.loyal ? 0.2 : 0.1;
+    order.total -= order.total * rate;
+  }
+}
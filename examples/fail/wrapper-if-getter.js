@@ -0,0 +1,10 @@
+export class Cart {
+  items = [];
+
+  get firstItemName() {
+    // expect: inhuman/require-guard-clauses@requireGuardClause:5
+    if (this.items.length > 0) {
+      return this.items[0].name;
+    }
+  }
+}
@@ -0,0 +1,14 @@
+export class Thermostat {
+  #target = 20;
+
+  set target(celsius) {
+    // expect: inhuman/require-guard-clauses@requireGuardClause:5
+    if (Number.isFinite(celsius)) {
+      this.#target = Math.min(celsius, 30);
+    }
+  }
+
+  describe() {
+    return `${this.#target}°C`;
+  }
+}
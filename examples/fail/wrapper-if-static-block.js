@@ -0,0 +1,10 @@
+export class FeatureFlags {
+  static defaults = {};
+
+  static {
+    // expect: inhuman/require-guard-clauses@requireGuardClause:5
+    if (typeof process !== "undefined") {
+      FeatureFlags.defaults.debug = process.env.DEBUG === "1";
+    }
+  }
+}
@@ -0,0 +1,5 @@
+export function renderUser(user) {
+  // expect: inhuman/require-guard-clauses@requireGuardClause:3
+  if (!user) return;
+  return user.name.toUpperCase();
+}
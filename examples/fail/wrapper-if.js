@@ -1,4 +1,5 @@
 export function renderUser(user) {
+  // expect: inhuman/require-guard-clauses@requireGuardClause:3
   if (user) {
     return user.name.toUpperCase();
   }
@@ -0,0 +1,8 @@
+import * as db from "./db";
+
+type Item = { id: string };
+
+// The callee's signature is not visible, so a return type alone does not exempt the wrapper.
+export function save(item: Item): Promise<void> { // expect: inhuman/no-empty-wrappers@noEmptyWrapper:8
+	return db.save(item);
+}
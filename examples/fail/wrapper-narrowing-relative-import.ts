@@ -0,0 +1,3 @@
+import { chargeCard } from "./billing";
+
+export const charge = (cardId: string, cents: number) => chargeCard(cardId, cents); // expect: inhuman/no-empty-wrappers@noEmptyWrapper:23
@@ -0,0 +1,7 @@
+function sendEmail(to: string, body: string): Promise<void> {
+	return fetch(`/mail/${to}`, { method: "POST", body }).then(() => undefined);
+}
+
+export function notify(to: string, body: string): Promise<void> { // expect: inhuman/no-empty-wrappers@noEmptyWrapper:8
+	return sendEmail(to, body);
+}
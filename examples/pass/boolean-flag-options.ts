@@ -0,0 +1,24 @@
+type RenderOptions = { expanded: boolean; highlight?: boolean };
+
+function renderNode(node: string, { expanded, highlight = false }: RenderOptions) {
+  return `${node}:${expanded}:${highlight}`;
+}
+
+class Toggle {
+  #on = false;
+
+  get on() {
+    return this.#on;
+  }
+
+  set on(value: boolean) {
+    this.#on = value;
+  }
+}
+
+export function renderVisibleNodes(nodes: string[], toggle: Toggle) {
+  toggle.on = true;
+  const visible = nodes.filter((node, _index: number, _all: string[]) => node !== "");
+
+  return visible.map((node) => renderNode(node, { expanded: true }));
+}
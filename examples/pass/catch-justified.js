@@ -0,0 +1,15 @@
+export function supportsPassiveListeners(target) {
+  let supported = false;
+  try {
+    const options = Object.defineProperty({}, "passive", {
+      get() {
+        supported = true;
+        return true;
+      },
+    });
+    target.addEventListener("probe", null, options);
+  } catch {
+    // inhuman-ignore: older browsers throw here, which simply means "not supported"
+  }
+  return supported;
+}
@@ -0,0 +1,14 @@
+export function readConfig(fs, path) {
+  try {
+    return JSON.parse(fs.readFileSync(path, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+
+  try {
+    return fs.readFileSync(`${path}.default`, "utf8");
+  } catch {
+    console.warn("No default config found next to", path);
+    return "{}";
+  }
+}
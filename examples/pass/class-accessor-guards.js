@@ -0,0 +1,18 @@
+export class Session {
+  static current = null;
+
+  static {
+    const env = globalThis.process?.env ?? {};
+    Session.current = env.SESSION_ID ?? null;
+  }
+
+  get userName() {
+    if (!this.user) return "guest";
+    return this.user.name;
+  }
+
+  set token(value) {
+    if (typeof value !== "string") throw new TypeError("token must be a string");
+    this.rawToken = value;
+  }
+}
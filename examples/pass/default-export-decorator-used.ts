@@ -0,0 +1,10 @@
+import { entity } from "./orm";
+
+const schema = { table: "users" };
+
+@entity(schema)
+export class User {
+	id = 0;
+}
+
+export default schema;
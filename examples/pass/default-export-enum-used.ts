@@ -0,0 +1,10 @@
+enum Theme {
+	Light = "light",
+	Dark = "dark",
+}
+
+export function toggleTheme(theme: Theme) {
+	return theme === Theme.Light ? Theme.Dark : Theme.Light;
+}
+
+export default Theme;
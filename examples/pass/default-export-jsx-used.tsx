@@ -0,0 +1,11 @@
+const Badge = ({ label }: { label: string }) => <span className="badge">{label}</span>;
+
+export function Profile({ name }: { name: string }) {
+	return (
+		<section>
+			<Badge label={name} />
+		</section>
+	);
+}
+
+export default Badge;
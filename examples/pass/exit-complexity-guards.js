@@ -0,0 +1,20 @@
+export function settleInvoices(invoices, ledger) {
+  for (const invoice of invoices) {
+    if (invoice.paid) continue;
+    if (!invoice.customer) {
+      ledger.flag(invoice.id);
+      continue;
+    }
+
+    try {
+      if (invoice.amount === 0) {
+        ledger.close(invoice.id);
+        continue;
+      }
+      if (invoice.amount < 0) ledger.refund(invoice.id);
+      ledger.charge(invoice.customer, Math.max(invoice.amount, 0));
+    } catch (error) {
+      ledger.retry(invoice.id, error);
+    }
+  }
+}
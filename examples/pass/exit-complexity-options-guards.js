@@ -0,0 +1,11 @@
+function fail(message) {
+  throw new Error(message);
+}
+
+export function requireOwner(team) {
+  for (const member of team.members) {
+    if (member.role === "owner") return member;
+    if (member.suspended) fail(`Suspended member ${member.id}`);
+  }
+  return fail(`Team ${team.id} has no owner`);
+}
@@ -0,0 +1,8 @@
+export const ROUTES = { home: "/", settings: { profile: "/settings/profile" } } as const;
+export const METHODS = ["GET", "POST"] as const;
+
+type Method = (typeof METHODS)[number];
+
+export function isMethod(value: string): value is Method {
+  return (METHODS as readonly string[]).includes(value) || value === ROUTES.home;
+}
@@ -0,0 +1,10 @@
+export declare const BUILD_ID: string;
+export declare function reportMetric(name: string, value: number): void;
+
+function elapsed(start: number) {
+  return Date.now() - start;
+}
+
+export function track(name: string, start: number) {
+  reportMetric(name, elapsed(start));
+}
@@ -0,0 +1,17 @@
+export enum Direction {
+  Up = "up",
+  Down = "down",
+}
+
+export const enum Flag {
+  None = 0,
+  Ready = 1,
+}
+
+function flip(direction: Direction) {
+  return direction === Direction.Up ? Direction.Down : Direction.Up;
+}
+
+export function reverse(direction: Direction, flag: Flag) {
+  return flag === Flag.Ready ? flip(direction) : direction;
+}
@@ -0,0 +1,10 @@
+export const LEVELS = Object.freeze(["debug", "info", "warn", "error"]);
+export const LIMITS = Object.freeze({ retries: 3, verbose: false });
+
+function clampRetries(count) {
+  return Math.min(count, LIMITS.retries);
+}
+
+export function isKnownLevel(level) {
+  return LEVELS.includes(level) && clampRetries(1) > 0;
+}
@@ -0,0 +1,11 @@
+export function useCounter(initial) {
+  return { count: initial, next: () => increment(initial) };
+}
+
+function increment(value) {
+  return value + 1;
+}
+
+export function counterLabel(count) {
+  return `count: ${count}`;
+}
@@ -0,0 +1,9 @@
+export const SLUG_PATTERN = /^[a-z0-9-]+$/u;
+
+function normalize(value) {
+  return value.trim().toLowerCase();
+}
+
+export function isSlug(value) {
+  return SLUG_PATTERN.test(normalize(value));
+}
@@ -0,0 +1,14 @@
+export async function listTeams(api, logger) {
+  let response;
+  try {
+    response = await api.fetch("/teams");
+  } catch (error) {
+    logger.warn("Team list unavailable", error);
+    return [];
+  }
+
+  if (!response.ok) throw new Error(`Team list failed with ${response.status}`);
+  if (response.status === 204) return [];
+
+  return response.json();
+}
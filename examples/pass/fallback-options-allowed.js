@@ -0,0 +1,14 @@
+export function tryParseJson(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+export const findUserOrNull = (users, id) => {
+  const result = users.lookup(id);
+  if (result.error) return null;
+
+  return result.user;
+};
@@ -0,0 +1,7 @@
+function logLine(message: string, verbose: boolean, timestamp = false) {
+  return verbose ? `${timestamp}:${message}` : message;
+}
+
+export function logStatus(status: string, verbose: boolean) {
+  return logLine(status, verbose, true);
+}
@@ -0,0 +1,29 @@
+function fail(message: string): never {
+  throw new Error(message);
+}
+
+function requireName(user: { name?: string }) {
+  if (user.name == null) return;
+}
+
+function requireBoth(left: unknown, right: unknown) {
+  if (!left || !right) throw new TypeError("left and right are required");
+}
+
+function requireString(value: unknown) {
+  if (typeof value !== "string") fail("expected a string");
+}
+
+function requireItems(items: string[]) {
+  if (items.length === 0) {
+    console.error("nothing to do");
+    process.exit(1);
+  }
+}
+
+export function validate(input: { user: { name?: string }; items: string[]; tag: unknown }) {
+  requireName(input.user);
+  requireBoth(input.user, input.items);
+  requireString(input.tag);
+  requireItems(input.items);
+}
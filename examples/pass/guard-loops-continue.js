@@ -0,0 +1,8 @@
+export function indexById(records) {
+  const byId = new Map();
+  for (const record of records) {
+    if (!record.id) continue;
+    byId.set(record.id, record);
+  }
+  return byId;
+}
@@ -0,0 +1,11 @@
+export function firstLabel(entries) {
+  let label = "";
+  for (const entry of entries) {
+    if (typeof entry.label !== "string") continue;
+  }
+  for (const entry of entries) {
+    if (entry.label === undefined || entry.hidden !== false) break;
+    label = entry.label;
+  }
+  return label;
+}
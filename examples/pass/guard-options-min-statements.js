@@ -0,0 +1,5 @@
+export function trackVisit(page, analytics) {
+  if (analytics.enabled) {
+    analytics.track(page.path);
+  }
+}
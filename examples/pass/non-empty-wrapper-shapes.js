@@ -0,0 +1,19 @@
+import { audit, ledger } from "./ledger";
+
+// Binding extra arguments is partial application, not a pass-through.
+export const creditAccount = ledger.apply.bind(ledger, "credit");
+
+export const debitAccount = (account, amount) => ledger.apply("debit", account, amount);
+
+export const accounts = {
+	close(account) {
+		audit(account);
+		return ledger.close(account);
+	},
+};
+
+export class Ledger {
+	balance(account) {
+		return ledger.balance(account);
+	}
+}
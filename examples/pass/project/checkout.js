@@ -0,0 +1,8 @@
+import { debounce } from "lodash-es";
+import orders from "./orders.js";
+
+export const debounced = (callback, wait) => debounce(callback, wait);
+
+export function checkout(orderId) {
+	return orders.get(orderId) ?? null;
+}
@@ -0,0 +1,9 @@
+const orders = new Map();
+
+function countOrders() {
+	return orders.size;
+}
+
+countOrders();
+
+export default orders;
@@ -0,0 +1,12 @@
+export async function syncAll(jobs, logger) {
+  const outcomes = await Promise.allSettled(jobs.map((job) => job.run()));
+  const failures = outcomes.filter((outcome) => outcome.status === "rejected");
+  for (const failure of failures) {
+    logger.warn("sync job failed", failure.reason);
+  }
+
+  await jobs[0]?.cleanup().catch((error) => {
+    console.error("cleanup failed", error);
+  });
+  return failures.length;
+}
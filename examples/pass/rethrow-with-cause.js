@@ -0,0 +1,16 @@
+export async function saveDraft(store, draft) {
+  try {
+    await store.put(draft.id, draft);
+  } catch (error) {
+    if (error.code === "CONFLICT") {
+      throw new Error(`Draft ${draft.id} changed on the server`, { cause: error });
+    }
+    throw new Error(`Could not save draft: ${error.message}`);
+  }
+}
+
+export function readDraft(store, id) {
+  return store.get(id).catch((error) => {
+    throw new RangeError("Unknown draft", { cause: error });
+  });
+}
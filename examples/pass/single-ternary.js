@@ -0,0 +1,6 @@
+export function getGreeting(user) {
+  const name = user.nickname ? user.nickname : user.fullName;
+  const rows = user.roles.map((role) => (role.admin ? `${name} (admin)` : name));
+
+  return rows.length > 0 ? rows : [name];
+}
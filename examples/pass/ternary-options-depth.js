@@ -0,0 +1,5 @@
+export function getSeverity(alert, dryRun) {
+  dryRun ? alert.preview() : alert.send();
+
+  return alert.critical ? "critical" : alert.acknowledged ? "info" : "warning";
+}
@@ -0,0 +1,20 @@
+type Order = { id: string; total: number };
+
+function assertShape(value: unknown, keys: string[]): void {
+	if (typeof value !== "object" || value === null) throw new TypeError("Expected an object");
+	for (const key of keys) {
+		if (!(key in value)) throw new TypeError(`Missing ${key}`);
+	}
+}
+
+function trackEvent(event: Event): void {
+	console.info(event.type);
+}
+
+export function assertOrder(value: unknown, keys: string[]): asserts value is Order {
+	assertShape(value, keys);
+}
+
+export function onResize(this: Window, event: UIEvent) {
+	return trackEvent(event);
+}
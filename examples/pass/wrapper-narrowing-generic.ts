@@ -0,0 +1,11 @@
+type User = { id: string; name: string };
+
+function decode<T>(raw: string): T {
+	return JSON.parse(raw) as T;
+}
+
+export function decodeUser(raw: string): User {
+	return decode(raw);
+}
+
+export const decodeIds = (raw: string) => decode<string[]>(raw);
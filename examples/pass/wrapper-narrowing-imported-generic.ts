@@ -0,0 +1,10 @@
+import { decode } from "./codec";
+import * as storage from "./storage";
+
+type User = { id: string; name: string };
+
+export function decodeUser(raw: string): User {
+	return decode<User>(raw);
+}
+
+export const loadUser = (key: string): Promise<User> => storage.read<User>(key);
@@ -0,0 +1,9 @@
+function formatValue(value: unknown): string {
+	return String(value);
+}
+
+export function format(value: number): string;
+export function format(value: Date): string;
+export function format(value: number | Date): string {
+	return formatValue(value);
+}
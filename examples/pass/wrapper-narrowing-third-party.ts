@@ -0,0 +1,8 @@
+import { debounce } from "lodash-es";
+import { readFile } from "node:fs/promises";
+
+export const debounced = (callback: () => void, wait: number) => debounce(callback, wait);
+
+export function readText(path: string, encoding: BufferEncoding) {
+	return readFile(path, encoding);
+}
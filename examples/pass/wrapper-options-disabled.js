@@ -0,0 +1,26 @@
+import { metrics, queue } from "./jobs";
+
+export const enqueue = (job) => queue.push(job);
+
+export const flush = function () {
+	return queue.flush();
+};
+
+export const counters = {
+	increment: (name) => metrics.increment(name),
+	reset(name) {
+		return this.store.reset(name);
+	},
+};
+
+export class Scheduler {
+	static schedule(job) {
+		return queue.schedule(job);
+	}
+}
+
+export function pause(reason) {
+	return this.worker.pause(reason);
+}
+
+export const drain = queue.drain.bind(queue);
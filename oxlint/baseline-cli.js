@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * inhuman-baseline: record current inhuman violations so only new ones are
+ * reported, and prune entries that have been fixed.
+ *
+ * Usage: inhuman-baseline <record|prune> [paths...] [--baseline <file>] [--config <file>]
+ *
+ * `record` replaces the baseline with every violation under `paths`.
+ * `prune` keeps only the recorded violations that are still present.
+ * Defaults to the current directory and `inhuman-baseline.json`.
+ */
+
+import { spawnSync } from "node:child_process";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { createRequire } from "node:module";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { BASELINE_VERSION, fingerprintViolation, getBaselineFileKey } from "./baseline.js";
+
+const PLUGIN_CODE_PATTERN = /^inhuman\((.+)\)$/u;
+
+const { values, positionals } = parseArgs({
+	allowPositionals: true,
+	options: {
+		baseline: { type: "string" },
+		config: { type: "string" },
+	},
+});
+
+const [command, ...paths] = positionals;
+if (command !== "record" && command !== "prune") {
+	console.error("Usage: inhuman-baseline <record|prune> [paths...] [--baseline <file>]");
+	process.exit(1);
+}
+
+const baselinePath = path.resolve(values.baseline ?? "inhuman-baseline.json");
+
+// The project's own oxlint, else the one next to this package, else whatever is on PATH.
+function resolveOxlintBin() {
+	const localBin = path.resolve("node_modules/.bin/oxlint");
+	if (existsSync(localBin)) return localBin;
+
+	try {
+		const packagePath = createRequire(import.meta.url).resolve("oxlint/package.json");
+		const { bin } = JSON.parse(readFileSync(packagePath, "utf8"));
+		const binPath = typeof bin === "string" ? bin : bin.oxlint;
+		return path.join(path.dirname(packagePath), binPath);
+	} catch {
+		return "oxlint";
+	}
+}
+
+// Lint with the baseline switched off, so every current violation is reported.
+function lintWithoutBaseline() {
+	const configArgs = values.config ? ["--config", values.config] : [];
+	const result = spawnSync(
+		resolveOxlintBin(),
+		["--format", "json", ...configArgs, ...(paths.length > 0 ? paths : ["."])],
+		{
+			encoding: "utf8",
+			maxBuffer: 256 * 1024 * 1024,
+			env: { ...process.env, INHUMAN_BASELINE: "off" },
+		},
+	);
+
+	if (result.error || !result.stdout.trimStart().startsWith("{")) {
+		console.error(result.stderr || result.stdout || result.error?.message);
+		process.exit(1);
+	}
+	// A rule that throws, or a baseline that cannot be read, is reported without a rule code.
+	const diagnostics = JSON.parse(result.stdout).diagnostics;
+	const crash = diagnostics.find((diagnostic) => !diagnostic.code);
+	if (crash) {
+		console.error(crash.message);
+		process.exit(1);
+	}
+	return diagnostics;
+}
+
+function addViolation(files, fileKey, ruleId, fingerprint) {
+	files[fileKey] ??= {};
+	files[fileKey][ruleId] ??= {};
+	files[fileKey][ruleId][fingerprint] = (files[fileKey][ruleId][fingerprint] ?? 0) + 1;
+}
+
+// Current violations, keyed the way the rules look them up.
+function collectViolations(diagnostics) {
+	const files = {};
+	const sources = new Map();
+
+	for (const diagnostic of diagnostics) {
+		const match = PLUGIN_CODE_PATTERN.exec(diagnostic.code);
+		const span = diagnostic.labels?.[0]?.span;
+		if (!match || !span) continue;
+
+		const filename = path.resolve(diagnostic.filename);
+		if (!sources.has(filename)) sources.set(filename, readFileSync(filename));
+
+		// Spans are UTF-8 byte offsets.
+		const sourceText = sources
+			.get(filename)
+			.subarray(span.offset, span.offset + span.length)
+			.toString("utf8");
+		const ruleId = `inhuman/${match[1]}`;
+		const fileKey = getBaselineFileKey(baselinePath, filename);
+		addViolation(files, fileKey, ruleId, fingerprintViolation(ruleId, sourceText));
+	}
+
+	return files;
+}
+
+// Keep each recorded fingerprint at most as often as it still occurs.
+function pruneViolations(recorded, current) {
+	const files = {};
+	for (const [fileKey, rules] of Object.entries(recorded)) {
+		for (const [ruleId, fingerprints] of Object.entries(rules)) {
+			for (const [fingerprint, count] of Object.entries(fingerprints)) {
+				const remaining = Math.min(count, current[fileKey]?.[ruleId]?.[fingerprint] ?? 0);
+				if (remaining === 0) continue;
+
+				files[fileKey] ??= {};
+				files[fileKey][ruleId] ??= {};
+				files[fileKey][ruleId][fingerprint] = remaining;
+			}
+		}
+	}
+	return files;
+}
+
+function countViolations(files) {
+	return Object.values(files)
+		.flatMap((rules) => Object.values(rules))
+		.flatMap((fingerprints) => Object.values(fingerprints))
+		.reduce((total, count) => total + count, 0);
+}
+
+// Sorted keys keep baseline diffs small.
+function sortKeys(value) {
+	if (typeof value !== "object" || value === null) return value;
+	const entries = Object.keys(value)
+		.sort()
+		.map((key) => [key, sortKeys(value[key])]);
+	return Object.fromEntries(entries);
+}
+
+function readRecordedViolations() {
+	if (!existsSync(baselinePath)) {
+		console.error(
+			`Baseline ${baselinePath} does not exist. Run \`inhuman-baseline record\` first.`,
+		);
+		process.exit(1);
+	}
+
+	const baseline = JSON.parse(readFileSync(baselinePath, "utf8"));
+	if (baseline.version !== BASELINE_VERSION) {
+		console.error(`Baseline ${baselinePath} is outdated. Run \`inhuman-baseline record\` again.`);
+		process.exit(1);
+	}
+	return baseline.files;
+}
+
+const current = collectViolations(lintWithoutBaseline());
+const recorded = command === "prune" ? readRecordedViolations() : null;
+const files = recorded ? pruneViolations(recorded, current) : current;
+
+writeFileSync(
+	baselinePath,
+	`${JSON.stringify({ version: BASELINE_VERSION, files: sortKeys(files) }, null, "\t")}\n`,
+);
+
+const summary = recorded
+	? `Pruned ${countViolations(recorded) - countViolations(files)} fixed violations`
+	: `Recorded ${countViolations(files)} violations`;
+console.log(`${summary}. Wrote ${path.relative(process.cwd(), baselinePath)}.`);
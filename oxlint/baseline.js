@@ -0,0 +1,130 @@
+/**
+ * Baselines let a codebase adopt inhuman rules gradually.
+ *
+ * `inhuman-baseline record` stores every current violation as a fingerprint
+ * of the rule id and the offending source with whitespace collapsed, so
+ * entries survive unrelated edits that move code around. When
+ * `settings.inhuman.baseline` points at that file, rules skip violations it
+ * lists and only report new ones.
+ */
+
+import { createHash } from "node:crypto";
+import { existsSync, readFileSync } from "node:fs";
+import path from "node:path";
+import { getFilename, getNodeRange, getSourceCode } from "./scope-analysis.js";
+
+export const BASELINE_VERSION = 1;
+
+// `INHUMAN_BASELINE=off` reports every violation, for recording a baseline or auditing it.
+const BASELINE_OFF_ENV = "INHUMAN_BASELINE";
+
+// Baselines are read once per lint process.
+const loadedBaselines = new Map();
+
+function loadBaseline(baselinePath) {
+	const cached = loadedBaselines.get(baselinePath);
+	if (cached) return cached;
+
+	if (!existsSync(baselinePath)) {
+		throw new Error(
+			`inhuman: baseline ${baselinePath} does not exist. Run \`inhuman-baseline record\` to create it.`,
+		);
+	}
+
+	const baseline = JSON.parse(readFileSync(baselinePath, "utf8"));
+	if (baseline.version !== BASELINE_VERSION) {
+		throw new Error(
+			`inhuman: baseline ${baselinePath} is outdated. Run \`inhuman-baseline record\` again.`,
+		);
+	}
+
+	loadedBaselines.set(baselinePath, baseline);
+	return baseline;
+}
+
+function getReportedText(sourceCode, descriptor) {
+	const range = descriptor.node ? getNodeRange(descriptor.node) : null;
+	if (range) return sourceCode.text.slice(range[0], range[1]);
+
+	const loc = descriptor.loc;
+	const start = sourceCode.getIndexFromLoc(loc.start ?? loc);
+	const end = sourceCode.getIndexFromLoc(loc.end ?? loc.start ?? loc);
+	return sourceCode.text.slice(start, end);
+}
+
+/**
+ * Wrap `create` so `context.report` drops violations listed in the
+ * baseline. Each fingerprint suppresses as many reports as were recorded,
+ * so a second copy of a baselined violation is still reported.
+ */
+function createBaselineRule(ruleId, rule) {
+	return {
+		...rule,
+		create(context) {
+			const baselinePath = context.settings?.inhuman?.baseline;
+			if (!baselinePath || process.env[BASELINE_OFF_ENV] === "off") {
+				return rule.create(context);
+			}
+
+			const baseline = loadBaseline(path.resolve(baselinePath));
+			const fileKey = getBaselineFileKey(baselinePath, getFilename(context));
+			const remaining = new Map(Object.entries(baseline.files[fileKey]?.[ruleId] ?? {}));
+			if (remaining.size === 0) {
+				return rule.create(context);
+			}
+
+			const sourceCode = getSourceCode(context);
+			function report(descriptor) {
+				const fingerprint = fingerprintViolation(ruleId, getReportedText(sourceCode, descriptor));
+				const count = remaining.get(fingerprint) ?? 0;
+				if (count > 0) {
+					remaining.set(fingerprint, count - 1);
+					return;
+				}
+				context.report(descriptor);
+			}
+
+			return rule.create(withReport(context, report));
+		},
+	};
+}
+
+/**
+ * A view of the rule `context` whose `report` is `report`. The context is
+ * frozen, so the proxy wraps a stand-in and reads everything else from the
+ * real context, which stays the receiver of its getters and methods.
+ */
+export function withReport(context, report) {
+	return new Proxy(Object.create(null), {
+		get(_target, property) {
+			if (property === "report") return report;
+			const value = Reflect.get(context, property, context);
+			return typeof value === "function" ? value.bind(context) : value;
+		},
+	});
+}
+
+/**
+ * Key of `filename` in the baseline at `baselinePath`: its path relative to
+ * the baseline's directory, with forward slashes.
+ */
+export function getBaselineFileKey(baselinePath, filename) {
+	const relative = path.relative(path.dirname(path.resolve(baselinePath)), path.resolve(filename));
+	return relative.split(path.sep).join("/");
+}
+
+export function fingerprintViolation(ruleId, sourceText) {
+	const normalized = sourceText.replace(/\s+/gu, " ").trim();
+	return createHash("sha256").update(`${ruleId}\0${normalized}`).digest("hex").slice(0, 16);
+}
+
+/**
+ * Make every rule of the plugin `pluginName` honor `settings.inhuman.baseline`.
+ */
+export function applyBaseline(pluginName, rules) {
+	return Object.fromEntries(
+		Object.entries(rules).map(([name, rule]) => {
+			return [name, createBaselineRule(`${pluginName}/${name}`, rule)];
+		}),
+	);
+}
@@ -0,0 +1,305 @@
+/**
+ * Per-file index of a module's top level, shared by the inhuman rules.
+ *
+ * Several rules ask the same questions about a file: which top-level
+ * statement declares a name, how each export is written, and where a module
+ * binding is read. The index answers them from one pass over `program.body`
+ * and resolves module bindings once, instead of scanning the file again for
+ * every lookup. It is cached per program, so all rules linting a file share it.
+ */
+
+import {
+	collectModuleReferences,
+	collectPatternNames,
+	FUNCTION_NODE_TYPES,
+	getModuleScope,
+	getNodeRange,
+} from "./scope-analysis.js";
+
+// Scope manager definition types for each top-level declaration node.
+const DEFINITION_KINDS = new Map([
+	["FunctionDeclaration", "FunctionName"],
+	["ClassDeclaration", "ClassName"],
+	["TSEnumDeclaration", "TSEnumName"],
+	["TSImportEqualsDeclaration", "ImportBinding"],
+]);
+
+// Declarations that can take an `export` keyword in place of an export list or alias.
+const INLINEABLE_DECLARATION_TYPES = new Set([
+	"FunctionDeclaration",
+	"ClassDeclaration",
+	"TSEnumDeclaration",
+	"TSInterfaceDeclaration",
+	"TSTypeAliasDeclaration",
+]);
+
+const fileIndexes = new WeakMap();
+
+function isLocalNamedExportList(node) {
+	if (node.type !== "ExportNamedDeclaration") {
+		return false;
+	}
+
+	// `export { foo }` (no declaration, no source) is a local export list.
+	if (node.declaration != null) {
+		return false;
+	}
+	if (node.source != null) {
+		return false;
+	}
+
+	return Array.isArray(node.specifiers) && node.specifiers.length > 0;
+}
+
+function isAliasLikeExpression(node) {
+	if (!node) {
+		return false;
+	}
+
+	if (node.type === "Identifier" || node.type === "MemberExpression") {
+		return true;
+	}
+
+	if (node.type === "ChainExpression") {
+		return isAliasLikeExpression(node.expression);
+	}
+
+	if (node.type === "ParenthesizedExpression") {
+		return isAliasLikeExpression(node.expression);
+	}
+
+	return false;
+}
+
+function isLocalAliasExport(node) {
+	if (node.type !== "ExportNamedDeclaration") {
+		return false;
+	}
+
+	const declaration = node.declaration;
+	if (!declaration || declaration.type !== "VariableDeclaration") {
+		return false;
+	}
+
+	// Treat `export const x = y` and `export const x = obj.y` as alias exports.
+	return declaration.declarations.some((declarator) => isAliasLikeExpression(declarator.init));
+}
+
+function isDefaultIdentifierExport(node) {
+	return node.type === "ExportDefaultDeclaration" && node.declaration?.type === "Identifier";
+}
+
+function isNeverReturnType(node) {
+	return node?.returnType?.typeAnnotation?.type === "TSNeverKeyword";
+}
+
+// Lookups answer with the first statement that matches, like a scan of the body would.
+function setFirst(map, key, value) {
+	if (map.has(key)) return;
+	map.set(key, value);
+}
+
+function addDefinitionKind(definitionKinds, name, kind) {
+	const kinds = definitionKinds.get(name) ?? [];
+	kinds.push(kind);
+	definitionKinds.set(name, kinds);
+}
+
+function indexDefinitionKinds(index, statement) {
+	const declaration = statement.declaration ?? statement;
+
+	if (declaration.type === "ImportDeclaration") {
+		for (const specifier of declaration.specifiers ?? []) {
+			if (specifier.local?.name) {
+				addDefinitionKind(index.definitionKinds, specifier.local.name, "ImportBinding");
+			}
+		}
+		return;
+	}
+
+	if (declaration.type === "VariableDeclaration") {
+		const names = new Set();
+		for (const declarator of declaration.declarations ?? []) {
+			collectPatternNames(declarator.id, names);
+		}
+		for (const name of names) {
+			addDefinitionKind(index.definitionKinds, name, "Variable");
+		}
+		return;
+	}
+
+	const kind = DEFINITION_KINDS.get(declaration.type);
+	if (kind && declaration.id?.name) {
+		addDefinitionKind(index.definitionKinds, declaration.id.name, kind);
+	}
+}
+
+function indexImportSources(index, statement) {
+	if (statement.type === "TSImportEqualsDeclaration" && statement.id?.name) {
+		const source = statement.moduleReference?.expression?.value ?? null;
+		setFirst(index.importSources, statement.id.name, source);
+		return;
+	}
+
+	if (statement.type !== "ImportDeclaration") return;
+	for (const specifier of statement.specifiers ?? []) {
+		if (specifier.local?.name) {
+			setFirst(index.importSources, specifier.local.name, statement.source.value);
+		}
+	}
+}
+
+function indexInlineableDeclaration(index, statement) {
+	if (INLINEABLE_DECLARATION_TYPES.has(statement.type) && statement.id?.name) {
+		setFirst(index.inlineableDeclarations, statement.id.name, statement);
+		return;
+	}
+
+	if (statement.type !== "VariableDeclaration" || statement.declarations.length !== 1) return;
+	const id = statement.declarations[0].id;
+	if (id?.type === "Identifier") setFirst(index.inlineableDeclarations, id.name, statement);
+}
+
+// Local functions, including `const f = () => ...`, and the ones declared to return `never`.
+function indexLocalFunctions(index, statement) {
+	const declaration = isExportNode(statement) ? statement.declaration : statement;
+	if (declaration?.type === "FunctionDeclaration" && declaration.id?.name) {
+		setFirst(index.localFunctions, declaration.id.name, declaration);
+		if (isNeverReturnType(declaration)) index.neverReturningNames.push(declaration.id.name);
+		return;
+	}
+
+	if (declaration?.type !== "VariableDeclaration") return;
+	for (const declarator of declaration.declarations ?? []) {
+		if (declarator.id?.type !== "Identifier") continue;
+		if (FUNCTION_NODE_TYPES.has(declarator.init?.type)) {
+			setFirst(index.localFunctions, declarator.id.name, declarator.init);
+		}
+		if (isNeverReturnType(declarator.init)) index.neverReturningNames.push(declarator.id.name);
+	}
+}
+
+function indexExport(index, statement, statementIndex) {
+	if (!isExportNode(statement)) {
+		index.lastNonExportIndex = statementIndex;
+		return;
+	}
+
+	if (isLocalNamedExportList(statement)) index.exportLists.add(statement);
+	if (isLocalAliasExport(statement)) index.aliasExports.add(statement);
+	if (isDefaultIdentifierExport(statement)) index.defaultIdentifierExports.add(statement);
+}
+
+function buildFileIndex(program, sourceCode) {
+	const index = {
+		program,
+		sourceCode,
+		definitionKinds: new Map(),
+		importSources: new Map(),
+		inlineableDeclarations: new Map(),
+		localFunctions: new Map(),
+		neverReturningNames: [],
+		exportLists: new Set(),
+		aliasExports: new Set(),
+		defaultIdentifierExports: new Set(),
+		lastNonExportIndex: -1,
+		moduleBindings: new Map(),
+		moduleVariables: null,
+		moduleReferences: null,
+	};
+
+	for (const [statementIndex, statement] of (program.body ?? []).entries()) {
+		indexDefinitionKinds(index, statement);
+		indexImportSources(index, statement);
+		indexInlineableDeclaration(index, statement);
+		indexLocalFunctions(index, statement);
+		indexExport(index, statement, statementIndex);
+	}
+
+	return index;
+}
+
+// Declaration initializers and type-only positions do not use the binding's value.
+function isValueUseReference(reference) {
+	return reference.init !== true && reference.isValueReference !== false;
+}
+
+function resolveScopeManagerBinding(index, scopeManager, name) {
+	if (!index.moduleVariables) {
+		index.moduleVariables = new Map();
+		for (const variable of getModuleScope(scopeManager).variables ?? []) {
+			setFirst(index.moduleVariables, variable.name, variable);
+		}
+	}
+
+	const variable = index.moduleVariables.get(name);
+	if (!variable) return null;
+
+	return {
+		kinds: (variable.defs ?? []).map((definition) => definition.type),
+		references: (variable.references ?? [])
+			.filter(isValueUseReference)
+			.map((reference) => reference.identifier),
+	};
+}
+
+function resolveModuleBinding(index, name) {
+	const scopeManager = index.sourceCode?.scopeManager;
+	if (scopeManager?.globalScope) return resolveScopeManagerBinding(index, scopeManager, name);
+
+	const kinds = index.definitionKinds.get(name);
+	if (!kinds) return null;
+
+	// Without a scope manager, one walk resolves the references of every top-level name.
+	index.moduleReferences ??= collectModuleReferences(
+		index.program,
+		new Set(index.definitionKinds.keys()),
+		index.sourceCode,
+	);
+	return { kinds, references: index.moduleReferences.get(name) };
+}
+
+export function isExportNode(node) {
+	return (
+		node?.type === "ExportAllDeclaration" ||
+		node?.type === "ExportDefaultDeclaration" ||
+		node?.type === "ExportNamedDeclaration"
+	);
+}
+
+/**
+ * The index of the file `sourceCode` belongs to, built on first use.
+ */
+export function getFileIndex(sourceCode) {
+	const program = sourceCode.ast;
+	const cached = fileIndexes.get(program);
+	if (cached) return cached;
+
+	const index = buildFileIndex(program, sourceCode);
+	fileIndexes.set(program, index);
+	return index;
+}
+
+/**
+ * Find the module-level binding `name`: the definition types of its
+ * declarations (scope manager names such as `Variable` or `FunctionName`) and
+ * the identifiers that read or reassign its value. Returns null when no
+ * top-level declaration introduces it.
+ */
+export function getModuleBinding(index, name) {
+	if (!index.moduleBindings.has(name)) {
+		const binding = resolveModuleBinding(index, name);
+		const referenceStarts = new Set(binding?.references.map((item) => getNodeRange(item)?.[0]));
+		index.moduleBindings.set(name, binding && { ...binding, referenceStarts });
+	}
+	return index.moduleBindings.get(name);
+}
+
+/**
+ * Whether `identifier` refers to the module-level binding of its name, rather
+ * than to a nested binding that shadows it.
+ */
+export function isModuleBindingReference(index, identifier) {
+	const binding = getModuleBinding(index, identifier.name);
+	return binding?.referenceStarts.has(getNodeRange(identifier)?.[0]) ?? false;
+}
@@ -6,13 +6,52 @@
  */
 
 import noBranchingPlugin from "oxlint-plugin-no-branching";
+import { applyBaseline, withReport } from "./baseline.js";
+import {
+	getFileIndex,
+	getModuleBinding,
+	isExportNode,
+	isModuleBindingReference,
+} from "./file-index.js";
+import { configs, createFlatConfigs } from "./presets.js";
+import { getProjectFile } from "./project-report.js";
+import {
+	collectBlockScopedNames,
+	collectPatternNames,
+	FUNCTION_NODE_TYPES,
+	getChildNodes,
+	getFilename,
+	getModuleScope,
+	getNodeRange,
+	getSourceCode,
+	getVisitorKeys,
+	isNameReferenced,
+} from "./scope-analysis.js";
 
 const REQUIRE_GUARD_CLAUSE_MESSAGE =
 	"Avoid wrapping the entire function body in an if. Use a guard clause / early return instead.";
 
+const REQUIRE_LOOP_GUARD_CLAUSE_MESSAGE =
+	"Avoid wrapping the entire loop body in an if. Use a guard clause / `continue` instead.";
+
+const MAX_NESTING_DEPTH_MESSAGE =
+	"Avoid nesting if-statements more than {{max}} deep. Flatten the function with guard clauses / early returns instead.";
+
 const NO_SWALLOWED_CATCH_MESSAGE =
 	"Do not swallow errors in catch blocks. Handle, log, rethrow, or explicitly justify it.";
 
+const DISCARDED_CATCH_ERROR_MESSAGE =
+	"Do not discard caught errors. Use the error, rethrow it, or pass it to a configured handler.";
+
+const SHORT_JUSTIFICATION_MESSAGE =
+	"Justify swallowing this error with a reason of at least {{min}} characters.";
+
+const UNINSPECTED_ALL_SETTLED_MESSAGE =
+	"Do not ignore `Promise.allSettled` results. Inspect each outcome, or rejections are silently swallowed.";
+
+const FINALLY_RETURN_MESSAGE =
+	"Do not return from a finally block without a catch. It silently discards any error thrown in the try block.";
+
 const EXPORTS_LAST_EXCEPT_TYPES_MESSAGE =
 	"Runtime value exports (functions, classes, and const) must appear at the end of the file. Type-only exports and primitive consts are exempt.";
 
@@ -25,42 +64,201 @@ const NO_EXPORT_ALIAS_MESSAGE =
 const NO_DEFAULT_EXPORT_IDENTIFIER_MESSAGE =
 	"Default-exported identifiers are only allowed for variables used internally. Export the declaration directly instead.";
 
+const EXPORT_ORDER_TDZ_MESSAGE =
+	"This export cannot move to the end of the file: line {{line}} reads `{{name}}` while the module evaluates, which would happen before it is initialized. Move that code into a function or make it part of the export.";
+
+const MOVE_EXPORT_TO_END_MESSAGE =
+	"Move this export to the end of the file. Check that nothing above relies on evaluating it first.";
+
+const EXPORT_ALIAS_TARGET_MESSAGE =
+	"Export the aliased declaration directly under the exported name. Hoisting and TDZ behavior may change.";
+
 const NO_EMPTY_WRAPPERS_MESSAGE =
 	"Do not export empty wrapper functions. Export the implementation directly instead.";
 
-function getSourceCode(context) {
-	return (
-		context.sourceCode ??
-		(typeof context.getSourceCode === "function" ? context.getSourceCode() : null)
-	);
+const RE_EXPORT_MODULE_MESSAGE =
+	"This module only re-exports another project module ({{chain}}). Import from `{{target}}` directly.";
+
+const UNUSED_DEFAULT_EXPORT_MESSAGE =
+	"No other module imports this default export. Export the declaration by name instead.";
+
+const NESTED_TERNARY_MESSAGE =
+	"Avoid nesting conditional expressions more than {{max}} deep. Use guard clauses / early returns or a lookup instead.";
+
+const TERNARY_STATEMENT_MESSAGE =
+	"Do not use a conditional expression as a statement. Use an if statement with a guard clause instead.";
+
+const BOOLEAN_FLAG_PARAM_MESSAGE =
+	"Boolean flag parameter `{{name}}` makes call sites unreadable. Accept an options object instead.";
+
+const BOOLEAN_FLAG_ARGUMENT_MESSAGE =
+	"Do not pass boolean literals positionally to `{{name}}`. Pass an options object instead.";
+
+const RETHROW_WITHOUT_CAUSE_MESSAGE =
+	"This error replaces the caught error without keeping it. Pass it as the `cause` so its stack is not lost.";
+
+const ADD_ERROR_CAUSE_MESSAGE = "Pass `{{name}}` as the cause.";
+
+const SILENT_CATCH_FALLBACK_MESSAGE =
+	"This catch block turns the error into a silent `{{value}}`. Handle or rethrow the error, or log why the fallback is safe.";
+
+const SILENT_GUARD_FALLBACK_MESSAGE =
+	"This guard turns a failure into a silent `{{value}}`. Throw or report the failure instead.";
+
+const MAX_EXIT_COMPLEXITY_MESSAGE =
+	"Control flow here is nested {{depth}} deep (max {{max}}). Flatten the function with guard clauses / early returns instead.";
+
+const EXTRACT_ELSE_FUNCTION_MESSAGE =
+	"Move the if/else chain into a local function that returns early from each branch.";
+
+// Cross-file facts from the `projectReport` option, or null without one.
+function getProjectFileFacts(context, options) {
+	if (typeof options.projectReport !== "string") return null;
+	const filename = getFilename(context);
+	return filename ? getProjectFile(options.projectReport, filename) : null;
+}
+
+const DEFAULT_TERMINATING_CALLS = ["process.exit", "assertNever"];
+
+const DEFAULT_CATCH_HANDLERS = ["console.error", "console.warn"];
+
+// Names in a guard's test that mark it as a failure check, such as `if (error)` or `if (!res.ok)`.
+const DEFAULT_FAILURE_PATTERN = "^(?:err|error|errors|exception|failed|failure|ok|success)$";
+
+const NOOP_HANDLER_NAMES = new Set(["noop", "_.noop", "lodash.noop"]);
+
+// Matched against the trimmed text of each comment; the first group is the reason.
+const DEFAULT_JUSTIFICATION_PATTERN = "^inhuman-ignore:(.*)$";
+
+const DEFAULT_MIN_JUSTIFICATION_LENGTH = 10;
+
+// Bindings that cannot carry `export default` on their own declaration.
+const IDENTIFIER_DEFAULT_EXPORT_KINDS = new Set(["Variable", "TSEnumName"]);
+
+const EXPORT_PARENT_TYPES = new Set([
+	"ExportDefaultDeclaration",
+	"ExportSpecifier",
+	"TSExportAssignment",
+]);
+
+// A guard body is the exit plus at most one call before it.
+const MAX_GUARD_BODY_STATEMENTS = 2;
+
+const EXIT_STATEMENT_TYPES = new Set([
+	"ReturnStatement",
+	"ThrowStatement",
+	"ContinueStatement",
+	"BreakStatement",
+]);
+
+/**
+ * Resolve a callee to a dotted name such as `process.exit`, or null when it
+ * is computed or otherwise not a plain identifier/member chain.
+ */
+function getCalleeName(callee) {
+	if (callee?.type === "Identifier") return callee.name;
+	if (callee?.type !== "MemberExpression" || callee.computed) return null;
+	if (callee.property?.type !== "Identifier") return null;
+
+	const objectName =
+		callee.object?.type === "ThisExpression" ? "this" : getCalleeName(callee.object);
+	if (!objectName) return null;
+	return `${objectName}.${callee.property.name}`;
 }
 
-function isEarlyExitStatement(node) {
+function isEarlyExitStatement(node, terminatingCalls) {
 	if (!node) return false;
 
-	if (node.type === "ReturnStatement" || node.type === "ThrowStatement") {
+	if (EXIT_STATEMENT_TYPES.has(node.type)) {
 		return true;
 	}
 
+	// `process.exit(1)` and other calls known never to return.
+	if (node.type === "ExpressionStatement") {
+		const expression = unwrapExpression(node.expression);
+		if (expression?.type !== "CallExpression") return false;
+		return terminatingCalls?.has(getCalleeName(expression.callee)) === true;
+	}
+
+	// `{ cleanup(); return; }` still exits early.
 	if (node.type === "BlockStatement") {
-		return node.body.length === 1 && isEarlyExitStatement(node.body[0]);
+		const lastStatement = node.body[node.body.length - 1];
+		return isEarlyExitStatement(lastStatement, terminatingCalls);
 	}
 
 	return false;
 }
 
+function isMissingValueLiteral(node) {
+	if (node?.type === "Literal") return node.value === null && node.regex == null;
+	if (node?.type === "Identifier") return node.name === "undefined";
+	return node?.type === "UnaryExpression" && node.operator === "void";
+}
+
+function isEmptyLengthCheck(node) {
+	const [member, literal] =
+		node.right?.type === "Literal" ? [node.left, node.right] : [node.right, node.left];
+	if (literal?.type !== "Literal" || literal.value !== 0) return false;
+	if (member?.type !== "MemberExpression" || member.computed) return false;
+	return member.property?.name === "length" || member.property?.name === "size";
+}
+
+/**
+ * Whether `node` tests for the "bad" case a guard clause bails out on:
+ * `!x`, `x !== y`, `x == null`, `list.length === 0`, and De Morgan
+ * combinations of those such as `!a || b == null`.
+ */
 function isNegatedCondition(node) {
-	return node?.type === "UnaryExpression" && node.operator === "!";
+	if (!node) return false;
+
+	if (node.type === "UnaryExpression") {
+		return node.operator === "!";
+	}
+
+	if (node.type === "BinaryExpression") {
+		if (node.operator === "!==" || node.operator === "!=") return true;
+		if (node.operator !== "===" && node.operator !== "==") return false;
+		return (
+			isMissingValueLiteral(node.left) ||
+			isMissingValueLiteral(node.right) ||
+			isEmptyLengthCheck(node)
+		);
+	}
+
+	if (node.type === "LogicalExpression" && node.operator !== "??") {
+		return isNegatedCondition(node.left) && isNegatedCondition(node.right);
+	}
+
+	return false;
 }
 
-function isExportNode(node) {
+function isCallStatement(node) {
 	return (
-		node?.type === "ExportAllDeclaration" ||
-		node?.type === "ExportDefaultDeclaration" ||
-		node?.type === "ExportNamedDeclaration"
+		node.type === "ExpressionStatement" &&
+		unwrapExpression(node.expression)?.type === "CallExpression"
 	);
 }
 
+/**
+ * Whether `node` is the short body of a guard clause: a single exit, or an
+ * exit after one call such as logging (`{ log(error); return; }`).
+ */
+function isGuardBody(node, terminatingCalls) {
+	if (node?.type !== "BlockStatement") return isEarlyExitStatement(node, terminatingCalls);
+
+	const statements = node.body;
+	if (statements.length === 0 || statements.length > MAX_GUARD_BODY_STATEMENTS) return false;
+
+	const exit = statements.at(-1);
+	if (exit.type === "BlockStatement" || !isEarlyExitStatement(exit, terminatingCalls)) return false;
+	return statements.slice(0, -1).every((statement) => isCallStatement(statement));
+}
+
+function isGuardClause(node, terminatingCalls) {
+	if (node?.type !== "IfStatement" || node.alternate != null) return false;
+	return isGuardBody(node.consequent, terminatingCalls) && isNegatedCondition(node.test);
+}
+
 function unwrapExpression(node) {
 	let current = node;
 	// Unwrap common wrappers around call expressions.
@@ -138,7 +336,7 @@ function isPrimitiveLiteralExpression(node) {
 	return false;
 }
 
-function isPrimitiveConstExport(node) {
+function isConstExportOf(node, isExemptInitializer) {
 	if (node?.type !== "ExportNamedDeclaration") {
 		return false;
 	}
@@ -158,427 +356,357 @@ function isPrimitiveConstExport(node) {
 	}
 
 	return declarations.every((declarator) => {
-		return declarator.id?.type === "Identifier" && isPrimitiveLiteralExpression(declarator.init);
+		return declarator.id?.type === "Identifier" && isExemptInitializer(declarator.init);
 	});
 }
 
-function isExemptExport(node, options) {
-	if (isTypeOnlyExport(node)) {
-		return true;
+// Whether `node` is an array or object literal whose items all satisfy `isItem`.
+function isPrimitiveCollectionLiteral(node, isItem) {
+	if (node?.type === "ArrayExpression") {
+		return node.elements.every((element) => isItem(element));
 	}
 
-	if (isPrimitiveConstExport(node)) {
-		return true;
+	if (node?.type !== "ObjectExpression") {
+		return false;
 	}
 
-	if (options?.allowReExport === true) {
-		if (node.type === "ExportAllDeclaration") {
-			return true;
-		}
-
-		if (node.type === "ExportNamedDeclaration" && node.source) {
-			return true;
-		}
-	}
+	return node.properties.every((property) => {
+		if (property.type !== "Property" || property.kind !== "init") return false;
+		if (property.computed || property.method) return false;
+		return isItem(property.value);
+	});
+}
 
-	return false;
+function isNestedPrimitiveItem(node) {
+	return (
+		isPrimitiveLiteralExpression(node) || isPrimitiveCollectionLiteral(node, isNestedPrimitiveItem)
+	);
 }
 
-function isLocalNamedExportList(node) {
-	if (node?.type !== "ExportNamedDeclaration") {
+// `Object.freeze` is shallow, so only flat literals of primitives count as constants.
+function isFrozenPrimitiveLiteral(node) {
+	if (node?.type !== "CallExpression" || node.arguments.length !== 1) {
 		return false;
 	}
 
-	// `export { foo }` (no declaration, no source) is a local export list.
-	if (node.declaration != null) {
-		return false;
-	}
-	if (node.source != null) {
+	if (getCalleeName(node.callee) !== "Object.freeze") {
 		return false;
 	}
 
-	return Array.isArray(node.specifiers) && node.specifiers.length > 0;
+	return isPrimitiveCollectionLiteral(node.arguments[0], isPrimitiveLiteralExpression);
 }
 
-function isAliasLikeExpression(node) {
-	if (!node) {
+// `as const` makes the whole literal readonly, so nested literals of primitives count too.
+function isConstAssertedLiteral(node) {
+	if (node?.type !== "TSAsExpression" && node?.type !== "TSTypeAssertion") {
 		return false;
 	}
 
-	if (node.type === "Identifier" || node.type === "MemberExpression") {
-		return true;
+	const annotation = node.typeAnnotation;
+	if (annotation?.type !== "TSTypeReference" || annotation.typeName?.name !== "const") {
+		return false;
 	}
 
-	if (node.type === "ChainExpression") {
-		return isAliasLikeExpression(node.expression);
-	}
+	return isNestedPrimitiveItem(node.expression);
+}
 
-	if (node.type === "ParenthesizedExpression") {
-		return isAliasLikeExpression(node.expression);
-	}
+function isRegexLiteral(node) {
+	return node?.type === "Literal" && node.regex != null;
+}
 
-	return false;
+function createExportExemptions(options) {
+	const initializerChecks = [isPrimitiveLiteralExpression];
+	if (options.allowFrozenLiterals === true) initializerChecks.push(isFrozenPrimitiveLiteral);
+	if (options.allowConstAssertions === true) initializerChecks.push(isConstAssertedLiteral);
+	if (options.allowRegexLiterals === true) initializerChecks.push(isRegexLiteral);
+
+	return {
+		allowReExport: options.allowReExport === true,
+		allowEnums: options.allowEnums === true,
+		allowDeclare: options.allowDeclare !== false,
+		isExemptInitializer: (init) => initializerChecks.some((check) => check(init)),
+		namePatterns: (options.exemptNames ?? []).map((pattern) => new RegExp(pattern, "u")),
+	};
 }
 
-function isLocalAliasExport(node) {
-	if (node?.type !== "ExportNamedDeclaration") {
-		return false;
+function getExportedNames(node) {
+	const names = new Set();
+	for (const specifier of node.specifiers ?? []) {
+		names.add(specifier.exported.name ?? specifier.exported.value);
 	}
 
 	const declaration = node.declaration;
-	if (!declaration || declaration.type !== "VariableDeclaration") {
-		return false;
+	if (!declaration) {
+		return names;
 	}
 
-	// Treat `export const x = y` and `export const x = obj.y` as alias exports.
-	return declaration.declarations.some((declarator) => isAliasLikeExpression(declarator.init));
-}
-
-function isDefaultIdentifierExport(node) {
-	if (node?.type !== "ExportDefaultDeclaration") {
-		return false;
+	if (declaration.id?.type === "Identifier") {
+		names.add(declaration.id.name);
 	}
 
-	return node.declaration?.type === "Identifier";
-}
-
-function getNodeRange(node) {
-	if (!node) return null;
-	if (Array.isArray(node.range) && node.range.length === 2) return node.range;
-	if (typeof node.start === "number" && typeof node.end === "number") {
-		return [node.start, node.end];
+	for (const declarator of declaration.declarations ?? []) {
+		collectPatternNames(declarator.id, names);
 	}
-	return null;
-}
-
-function isSameNodeLocation(left, right) {
-	if (left === right) return true;
-	const leftRange = getNodeRange(left);
-	const rightRange = getNodeRange(right);
-	if (!leftRange || !rightRange) return false;
-	return leftRange[0] === rightRange[0] && leftRange[1] === rightRange[1];
-}
 
-function getVisitorKeys(sourceCode) {
-	return sourceCode?.visitorKeys ?? null;
+	return names;
 }
 
-function collectChildNodesFromValue(value, children) {
-	if (Array.isArray(value)) {
-		for (const item of value) {
-			if (item && typeof item.type === "string") {
-				children.push(item);
-			}
-		}
-		return;
-	}
-	if (value && typeof value.type === "string") {
-		children.push(value);
+function hasExemptName(node, namePatterns) {
+	if (node.type !== "ExportNamedDeclaration" || namePatterns.length === 0) {
+		return false;
 	}
-}
 
-function getChildNodes(node, visitorKeys) {
-	if (!node || typeof node.type !== "string") return [];
-	const keys = visitorKeys?.[node.type];
-	if (Array.isArray(keys) && keys.length > 0) {
-		const children = [];
-		for (const key of keys) {
-			collectChildNodesFromValue(node[key], children);
-		}
-		return children;
+	const names = [...getExportedNames(node)];
+	if (names.length === 0) {
+		return false;
 	}
 
-	const children = [];
-	for (const [key, value] of Object.entries(node)) {
-		if (key === "parent") continue;
-		collectChildNodesFromValue(value, children);
-	}
-	return children;
+	return names.every((name) => namePatterns.some((pattern) => pattern.test(name)));
 }
 
-function isIdentifierReference(node, parent) {
-	if (!parent) return true;
-
-	const parentType = parent.type;
-
-	if (parentType === "VariableDeclarator") {
-		return parent.init === node;
-	}
-
-	if (
-		parentType === "FunctionDeclaration" ||
-		parentType === "FunctionExpression" ||
-		parentType === "ArrowFunctionExpression"
-	) {
-		if (parent.id === node) return false;
-		if (Array.isArray(parent.params) && parent.params.includes(node)) return false;
-		return true;
+function isExemptExport(node, exemptions) {
+	// Ambient declarations emit no runtime code; parsers mark them as type-only exports.
+	if (node.declaration?.declare === true) {
+		return exemptions.allowDeclare;
 	}
 
-	if (parentType === "ClassDeclaration" || parentType === "ClassExpression") {
-		if (parent.id === node) return false;
+	if (isTypeOnlyExport(node)) {
 		return true;
 	}
 
-	if (parentType === "CatchClause") {
-		if (parent.param === node) return false;
+	if (isConstExportOf(node, exemptions.isExemptInitializer)) {
 		return true;
 	}
 
-	if (
-		parentType === "ImportSpecifier" ||
-		parentType === "ImportDefaultSpecifier" ||
-		parentType === "ImportNamespaceSpecifier" ||
-		parentType === "ExportSpecifier"
-	) {
-		return false;
-	}
-
-	if (parentType === "ExportDefaultDeclaration") {
-		if (parent.declaration === node) return false;
+	if (exemptions.allowEnums && node.declaration?.type === "TSEnumDeclaration") {
 		return true;
 	}
 
-	if (parentType === "MemberExpression") {
-		if (parent.property === node && !parent.computed) return false;
+	if (hasExemptName(node, exemptions.namePatterns)) {
 		return true;
 	}
 
-	if (parentType === "Property") {
-		const inPattern = parent.parent?.type === "ObjectPattern";
-		if (inPattern) {
-			if (parent.key === node && parent.computed) return true;
-			return false;
+	if (exemptions.allowReExport) {
+		if (node.type === "ExportAllDeclaration") {
+			return true;
 		}
-		if (parent.key === node) {
-			if (parent.computed) return true;
-			if (parent.shorthand) return true;
-			return false;
+
+		if (node.type === "ExportNamedDeclaration" && node.source) {
+			return true;
 		}
-		return true;
 	}
 
-	if (parentType === "MethodDefinition") {
-		if (parent.key === node && !parent.computed) return false;
-		return true;
-	}
+	return false;
+}
 
-	if (parentType === "PropertyDefinition" || parentType === "ClassProperty") {
-		if (parent.key === node && !parent.computed) return false;
-		return true;
-	}
+function isSameNodeLocation(left, right) {
+	if (left === right) return true;
+	const leftRange = getNodeRange(left);
+	const rightRange = getNodeRange(right);
+	if (!leftRange || !rightRange) return false;
+	return leftRange[0] === rightRange[0] && leftRange[1] === rightRange[1];
+}
 
-	if (
-		parentType === "LabeledStatement" ||
-		parentType === "BreakStatement" ||
-		parentType === "ContinueStatement"
-	) {
+function isAllowedDefaultIdentifierExport(node, fileIndex) {
+	const binding = getModuleBinding(fileIndex, node.declaration.name);
+	if (!binding) {
 		return false;
 	}
 
-	if (parentType === "AssignmentPattern") {
-		if (parent.left === node) return false;
-		return true;
-	}
-
-	if (
-		parentType === "RestElement" ||
-		parentType === "ArrayPattern" ||
-		parentType === "ObjectPattern"
-	) {
+	// Functions and classes can put `export default` on their declaration instead.
+	if (binding.kinds.some((kind) => kind === "FunctionName" || kind === "ClassName")) {
 		return false;
 	}
 
-	if (
-		parentType === "ForInStatement" ||
-		parentType === "ForOfStatement" ||
-		parentType === "ForStatement"
-	) {
-		if (parent.left === node) return false;
-		return true;
-	}
-
-	if (
-		parentType === "TSAsExpression" ||
-		parentType === "TSTypeAssertion" ||
-		parentType === "TSNonNullExpression" ||
-		parentType === "TSInstantiationExpression"
-	) {
-		return parent.expression === node;
-	}
-
-	if (
-		parentType === "TSTypeAnnotation" ||
-		parentType === "TSTypeReference" ||
-		parentType === "TSQualifiedName" ||
-		parentType === "TSInterfaceDeclaration" ||
-		parentType === "TSTypeAliasDeclaration" ||
-		parentType === "TSModuleDeclaration" ||
-		parentType === "TSParameterProperty" ||
-		parentType === "TSPropertySignature" ||
-		parentType === "TSTypeLiteral" ||
-		parentType === "TSUnionType" ||
-		parentType === "TSIntersectionType" ||
-		parentType === "TSLiteralType" ||
-		parentType === "TSArrayType" ||
-		parentType === "TSTypeOperator" ||
-		parentType === "TSIndexedAccessType" ||
-		parentType === "TSMappedType" ||
-		parentType === "TSFunctionType" ||
-		parentType === "TSConstructorType" ||
-		parentType === "TSImportType"
-	) {
+	if (!binding.kinds.some((kind) => IDENTIFIER_DEFAULT_EXPORT_KINDS.has(kind))) {
 		return false;
 	}
 
-	return true;
+	// Exporting the binding again (`export =`, `export { x as default }`) is not an internal use.
+	return binding.references.some((reference) => !EXPORT_PARENT_TYPES.has(reference.parent?.type));
 }
 
-function getTopLevelDeclarationInfo(program, name) {
-	const variableIds = [];
-	let hasVariable = false;
-	let hasFunctionOrClass = false;
-
-	for (const node of program.body ?? []) {
-		let declarationNode = node;
+// Entry points are imported by no module, so only modules with importers are checked.
+function isUnusedDefaultExport(projectFile) {
+	if (!projectFile || projectFile.importerCount === 0) return false;
+	return projectFile.defaultImporterCount === 0;
+}
 
-		if (node.type === "ExportNamedDeclaration" && node.declaration) {
-			declarationNode = node.declaration;
-		}
+// `export function`, `export default <value>`, or the initializer of an `export const`.
+function isExportedValue(node) {
+	const parent = node?.parent;
+	if (isExportNode(parent)) return true;
+	if (parent?.type !== "VariableDeclarator" || parent.init !== node) return false;
+	return parent.parent?.parent?.type === "ExportNamedDeclaration";
+}
 
-		if (declarationNode.type === "VariableDeclaration") {
-			for (const declarator of declarationNode.declarations ?? []) {
-				if (declarator.id?.type === "Identifier" && declarator.id.name === name) {
-					hasVariable = true;
-					variableIds.push(declarator.id);
-				}
-			}
-			continue;
-		}
+/**
+ * Classify where a wrapper candidate is exported from: the option that
+ * enables checking it, `"declaration"` for direct exports, or null when the
+ * value is not exported.
+ */
+function getWrapperExportKind(node) {
+	const parent = node?.parent;
+	if (isExportNode(parent)) return "declaration";
 
-		if (
-			(declarationNode.type === "FunctionDeclaration" ||
-				declarationNode.type === "ClassDeclaration") &&
-			declarationNode.id?.name === name
-		) {
-			hasFunctionOrClass = true;
-		}
+	if (parent?.type === "VariableDeclarator") {
+		return isExportedValue(node) ? "checkFunctionExpressions" : null;
 	}
 
-	return { hasVariable, hasFunctionOrClass, variableIds };
-}
-
-function isIdentifierUsedInternally(program, name, excludedNodes, sourceCode) {
-	const visitorKeys = getVisitorKeys(sourceCode);
-	let found = false;
-	const excluded = excludedNodes ?? [];
-
-	function isExcluded(node) {
-		return excluded.some((excludedNode) => isSameNodeLocation(node, excludedNode));
+	if (parent?.type === "Property" && parent.value === node && parent.kind === "init") {
+		return isExportedValue(parent.parent) ? "checkObjectMethods" : null;
 	}
 
-	function visit(node, parent) {
-		if (!node || found) return;
+	if (parent?.type === "MethodDefinition" && parent.static && parent.kind === "method") {
+		return isExportedValue(parent.parent?.parent) ? "checkStaticMethods" : null;
+	}
 
-		if (node.type === "Identifier" && node.name === name && !isExcluded(node)) {
-			if (isIdentifierReference(node, parent)) {
-				found = true;
-				return;
-			}
-		}
+	return null;
+}
 
-		for (const child of getChildNodes(node, visitorKeys)) {
-			visit(child, node);
-			if (found) return;
-		}
-	}
+function getCallExpression(expression) {
+	const expr = unwrapExpression(expression);
+	return expr?.type === "CallExpression" ? expr : null;
+}
 
-	visit(program, null);
-	return found;
+function getCallExpressionFromStatement(statement) {
+	if (statement?.type === "ExpressionStatement") return getCallExpression(statement.expression);
+	if (statement?.type === "ReturnStatement") return getCallExpression(statement.argument);
+	return null;
 }
 
-function isAllowedDefaultIdentifierExport(node, program, sourceCode) {
-	if (!isDefaultIdentifierExport(node)) {
-		return false;
+function getWrappedCall(node, options) {
+	if (node.body?.type !== "BlockStatement") {
+		return options.checkConciseArrows === false ? null : getCallExpression(node.body);
 	}
 
-	const identifier = node.declaration;
-	const name = identifier.name;
-	const scopeManager = sourceCode?.scopeManager;
-	let isVariable = false;
-	let isFunctionOrClass = false;
-	let hasInternalUse = false;
-	let declarationInfo = null;
-
-	if (scopeManager?.globalScope) {
-		const variable = scopeManager.globalScope.variables?.find((item) => item.name === name);
-		if (variable) {
-			const defs = variable.defs ?? [];
-			isVariable = defs.some((def) => def.type === "Variable");
-			isFunctionOrClass = defs.some(
-				(def) => def.type === "FunctionName" || def.type === "ClassName",
-			);
+	const statements = node.body.body ?? [];
+	if (statements.length !== 1) return null;
+	return getCallExpressionFromStatement(statements[0]);
+}
 
-			for (const reference of variable.references ?? []) {
-				if (!isSameNodeLocation(reference.identifier, identifier)) {
-					hasInternalUse = true;
-					break;
-				}
-			}
-		}
+function isThisRooted(node) {
+	let current = node;
+	while (current?.type === "MemberExpression") {
+		current = current.object;
 	}
+	return current?.type === "ThisExpression";
+}
 
-	if (!isVariable && !isFunctionOrClass) {
-		declarationInfo = getTopLevelDeclarationInfo(program, name);
-		isVariable = declarationInfo.hasVariable;
-		isFunctionOrClass = declarationInfo.hasFunctionOrClass;
-	}
+/**
+ * The arguments a wrapper forwards to its callee, or null when the call is not
+ * one of the enabled forwarding shapes. `fn.call(receiver, ...)` forwards
+ * everything after the receiver.
+ */
+function getForwardedArguments(callExpression, options) {
+	const callee = unwrapExpression(callExpression.callee);
+	if (options.checkThisMethods === false && isThisRooted(callee)) return null;
 
-	if (!hasInternalUse) {
-		if (!declarationInfo) {
-			declarationInfo = getTopLevelDeclarationInfo(program, name);
-		}
-		if (declarationInfo.hasVariable) {
-			const excludedNodes = [identifier, ...declarationInfo.variableIds];
-			hasInternalUse = isIdentifierUsedInternally(program, name, excludedNodes, sourceCode);
-		}
-	}
+	const args = callExpression.arguments ?? [];
+	if (options.checkBindCall === false || getMemberPropertyName(callee) !== "call") return args;
+	if (args.length === 0 || args[0].type === "SpreadElement") return null;
+	return args.slice(1);
+}
 
-	if (!isVariable || isFunctionOrClass) return false;
-	return hasInternalUse;
+// `export const get = repo.get.bind(repo)` only fixes the receiver.
+function isBindForwarder(callExpression) {
+	if (getMemberPropertyName(unwrapExpression(callExpression.callee)) !== "bind") return false;
+	const args = callExpression.arguments ?? [];
+	return args.length === 1 && args[0].type !== "SpreadElement";
 }
 
-function isExportedFunction(node) {
-	const parent = node?.parent;
-	if (!parent) return false;
-	return parent.type === "ExportNamedDeclaration" || parent.type === "ExportDefaultDeclaration";
+function isThisParameter(param) {
+	return param?.type === "Identifier" && param.name === "this";
 }
 
-function getCallExpressionFromStatement(statement) {
-	if (!statement) return null;
+function getSignatureTypeTexts(fn, sourceCode) {
+	const typeNodes = [
+		fn.typeParameters,
+		fn.returnType,
+		...(fn.params ?? []).map((param) => param.typeAnnotation),
+	];
+	return typeNodes.map((typeNode) =>
+		typeNode ? sliceSource(sourceCode, getNodeRange(typeNode)) : "",
+	);
+}
 
-	if (statement.type === "ExpressionStatement") {
-		const expr = unwrapExpression(statement.expression);
-		return expr?.type === "CallExpression" ? expr : null;
+// Overload signatures such as `function f(a: string): string;` declared next to the implementation.
+function hasOverloadSignatures(node) {
+	const parent = node.parent;
+	if (parent?.type === "MethodDefinition") {
+		return parent.parent.body.some((member) => {
+			if (member === parent || member.type !== "MethodDefinition" || member.value?.body != null) {
+				return false;
+			}
+			return !member.computed && member.key?.name === parent.key?.name;
+		});
 	}
 
-	if (statement.type === "ReturnStatement") {
-		const expr = unwrapExpression(statement.argument);
-		return expr?.type === "CallExpression" ? expr : null;
+	if (node.type !== "FunctionDeclaration" || !node.id) return false;
+	const statement = isExportNode(parent) ? parent : node;
+	return (statement.parent?.body ?? []).some((sibling) => {
+		const declaration = isExportNode(sibling) ? sibling.declaration : sibling;
+		return declaration?.type === "TSDeclareFunction" && declaration.id?.name === node.id.name;
+	});
+}
+
+/**
+ * Whether a pass-through wrapper changes the callee's TypeScript signature:
+ * `asserts`/type-predicate returns, a `this` parameter, overloads, explicit
+ * type arguments, or annotations that differ from a callee declared in this
+ * file.
+ */
+function isTypeNarrowingWrapper(node, callExpression, sourceCode) {
+	if (node.returnType?.typeAnnotation?.type === "TSTypePredicate") return true;
+	if (isThisParameter(node.params?.[0])) return true;
+	if (callExpression.typeArguments ?? callExpression.typeParameters) return true;
+	if (hasOverloadSignatures(node)) return true;
+
+	const wrapperTypes = getSignatureTypeTexts(node, sourceCode);
+	if (wrapperTypes.every((text) => text === "")) return false;
+
+	const callee = unwrapExpression(callExpression.callee);
+	const target =
+		callee?.type === "Identifier" ? getFileIndex(sourceCode).localFunctions.get(callee.name) : null;
+	if (!target) return false;
+	return wrapperTypes.join("\n") !== getSignatureTypeTexts(target, sourceCode).join("\n");
+}
+
+function getRootIdentifierName(expression) {
+	let current = unwrapExpression(expression);
+	while (current?.type === "MemberExpression") {
+		current = current.object;
 	}
+	return current?.type === "Identifier" ? current.name : null;
+}
 
-	return null;
+/**
+ * Whether the wrapped callee is imported, for `allowModuleBoundary`:
+ * `"packages"` matches bare specifiers such as `lodash` or `node:fs`, `"all"`
+ * any import. Imports that the project report resolves to a project file do
+ * not cross a boundary.
+ */
+function crossesModuleBoundary(callExpression, sourceCode, boundary, projectFile) {
+	if (boundary !== "packages" && boundary !== "all") return false;
+
+	const name = getRootIdentifierName(callExpression.callee);
+	const source = name ? (getFileIndex(sourceCode).importSources.get(name) ?? null) : null;
+	if (source == null) return false;
+	if (projectFile?.resolvedImports?.[source]) return false;
+	return boundary === "all" || !/^[./]/u.test(source);
 }
 
-function isPassThroughWrapper(node, callExpression) {
+function isPassThroughWrapper(node, args) {
 	const params = node.params ?? [];
-	const args = callExpression.arguments ?? [];
 
 	// Only treat plain identifier parameters (and a single rest identifier) as pass-through.
 	const paramNames = [];
 	let restName = null;
 
 	for (const param of params) {
+		// A TypeScript `this` parameter only types the receiver.
+		if (isThisParameter(param)) continue;
+
 		if (param.type === "Identifier") {
 			paramNames.push(param.name);
 			continue;
@@ -628,254 +756,1969 @@ function isPassThroughWrapper(node, callExpression) {
 	return true;
 }
 
+function getCommentsInside(node, sourceCode) {
+	if (typeof sourceCode?.getCommentsInside === "function") {
+		return sourceCode.getCommentsInside(node);
+	}
+
+	// Older source code objects only list the comments of the whole file.
+	const range = getNodeRange(node);
+	const comments = sourceCode?.getAllComments?.() ?? sourceCode?.ast?.comments ?? [];
+	return comments.filter((comment) => {
+		const commentRange = getNodeRange(comment);
+		return range && commentRange && isRangeInside(commentRange, range);
+	});
+}
+
 function blockHasOnlyComments(block, sourceCode) {
-	if (!sourceCode) {
+	const range = getNodeRange(block);
+	if (!sourceCode || !range) {
 		// Fall back to structural check only.
 		return block.body.length === 0;
 	}
 
-	const text = sourceCode.getText(block);
-	// Strip the outer braces and trim.
-	const inner = text.slice(1, -1).trim();
-	if (inner.length === 0) {
-		return true;
+	// Cut every real comment out of the text between the braces, so comment-like
+	// text inside strings is never mistaken for a comment, then trim.
+	let inner = "";
+	let cursor = range[0] + 1;
+	for (const comment of getCommentsInside(block, sourceCode)) {
+		const commentRange = getNodeRange(comment);
+		inner += sliceSource(sourceCode, [cursor, commentRange[0]]);
+		cursor = commentRange[1];
 	}
+	inner += sliceSource(sourceCode, [cursor, range[1] - 1]);
 
-	// Remove block and line comments, then trim again.
-	const withoutBlockComments = inner.replace(/\/\*[\s\S]*?\*\//g, "");
-	const withoutAnyComments = withoutBlockComments.replace(/\/\/[^\n\r]*/g, "");
-	return withoutAnyComments.trim().length === 0;
+	return inner.trim().length === 0;
 }
 
-/** @type {import('eslint').Rule.RuleModule} */
-const requireGuardClausesRule = {
-	meta: {
-		type: "suggestion",
-		docs: {
-			description:
-				"Require guard clauses by forbidding a single if-statement that wraps the entire function body.",
-			recommended: false,
-		},
-		schema: [],
-		messages: {
-			requireGuardClause: REQUIRE_GUARD_CLAUSE_MESSAGE,
-		},
-	},
-	create(context) {
-		function checkFunctionLike(node) {
-			const body = node.body;
-			if (!body || body.type !== "BlockStatement") {
-				return;
-			}
+/**
+ * Find the first comment in `block` matching the justification pattern and
+ * return it with the reason it gives, or null when nothing is justified.
+ */
+function findJustification(block, sourceCode, justificationPattern) {
+	for (const comment of getCommentsInside(block, sourceCode)) {
+		const match = justificationPattern.exec(comment.value.trim());
+		if (!match) continue;
+		return { comment, reason: (match[1] ?? "").trim() };
+	}
+	return null;
+}
+
+/**
+ * Build a matcher for callee names such as `logger.error`; a trailing `.*`
+ * (for example `Sentry.*`) matches any method on that object.
+ */
+function createCalleeMatcher(patterns) {
+	const exactNames = new Set(patterns.filter((pattern) => !pattern.endsWith(".*")));
+	const prefixes = patterns
+		.filter((pattern) => pattern.endsWith(".*"))
+		.map((pattern) => pattern.slice(0, -1));
+
+	return (callee) => {
+		const name = getCalleeName(callee);
+		if (!name) return false;
+		if (exactNames.has(name)) return true;
+		return prefixes.some((prefix) => name.startsWith(prefix));
+	};
+}
+
+const LOOP_NODE_TYPES = new Set([
+	"ForStatement",
+	"ForInStatement",
+	"ForOfStatement",
+	"WhileStatement",
+	"DoWhileStatement",
+]);
+
+const NEGATED_BINARY_OPERATORS = new Map([
+	["===", "!=="],
+	["!==", "==="],
+	["==", "!="],
+	["!=", "=="],
+	["<", ">="],
+	[">=", "<"],
+	[">", "<="],
+	["<=", ">"],
+]);
+
+const SIMPLE_OPERAND_TYPES = new Set([
+	"Identifier",
+	"MemberExpression",
+	"CallExpression",
+	"ChainExpression",
+	"ThisExpression",
+]);
+
+function sliceSource(sourceCode, range) {
+	return sourceCode.text.slice(range[0], range[1]);
+}
+
+function isRangeInside(inner, outer) {
+	return inner[0] >= outer[0] && inner[1] <= outer[1];
+}
+
+/**
+ * Build the negated text of an `if` test, plus the source ranges whose text
+ * (and comments) survive the rewrite verbatim.
+ */
+function negateCondition(test, sourceCode) {
+	const range = getNodeRange(test);
+	if (!range) return null;
+
+	if (test.type === "UnaryExpression" && test.operator === "!") {
+		const argumentRange = getNodeRange(test.argument);
+		if (!argumentRange) return null;
+		return { text: sliceSource(sourceCode, argumentRange), keptRanges: [argumentRange] };
+	}
+
+	const flippedOperator = NEGATED_BINARY_OPERATORS.get(test.operator);
+	if (test.type === "BinaryExpression" && flippedOperator) {
+		const leftRange = getNodeRange(test.left);
+		const rightRange = getNodeRange(test.right);
+		if (!leftRange || !rightRange) return null;
+
+		// Only parentheses and whitespace can sit next to the operator once comments are ruled out.
+		const operatorIndex = sliceSource(sourceCode, [leftRange[1], rightRange[0]]).indexOf(
+			test.operator,
+		);
+		if (operatorIndex === -1) return null;
+
+		const operatorStart = leftRange[1] + operatorIndex;
+		const text =
+			sliceSource(sourceCode, [range[0], operatorStart]) +
+			flippedOperator +
+			sliceSource(sourceCode, [operatorStart + test.operator.length, range[1]]);
+		return { text, keptRanges: [leftRange, rightRange] };
+	}
+
+	const testText = sliceSource(sourceCode, range);
+	if (SIMPLE_OPERAND_TYPES.has(test.type)) {
+		return { text: `!${testText}`, keptRanges: [range] };
+	}
+	return { text: `!(${testText})`, keptRanges: [range] };
+}
+
+function isVoidLikeType(typeNode) {
+	if (!typeNode) return false;
+	if (typeNode.type === "TSVoidKeyword" || typeNode.type === "TSUndefinedKeyword") return true;
+	if (typeNode.type !== "TSTypeReference" || typeNode.typeName?.name !== "Promise") return false;
+
+	const typeArguments = typeNode.typeArguments ?? typeNode.typeParameters;
+	const params = typeArguments?.params ?? [];
+	return params.length === 1 && isVoidLikeType(params[0]);
+}
+
+function getGuardExitStatement(node) {
+	if (LOOP_NODE_TYPES.has(node.type)) return "continue;";
+
+	// Static blocks cannot `return`, so there is no guard clause to write.
+	if (!FUNCTION_NODE_TYPES.has(node.type)) return null;
+
+	// Generators change meaning when an early `return` is introduced mid-iteration.
+	if (node.generator) return null;
+
+	// A declared return type other than void/undefined is a value contract a bare `return;` would break.
+	const returnType = node.returnType?.typeAnnotation;
+	if (returnType && !isVoidLikeType(returnType)) return null;
+
+	return "return;";
+}
+
+// Names declared directly in the statement list `container`, including the parameters it belongs to.
+function collectStatementListNames(container) {
+	const statements = container.body ?? [];
+	const names = collectBlockScopedNames(statements);
+	for (const statement of statements) {
+		if (statement.type !== "VariableDeclaration") continue;
+		for (const declarator of statement.declarations) {
+			collectPatternNames(declarator.id, names);
+		}
+	}
+
+	const owner = container.parent;
+	for (const param of owner?.params ?? []) {
+		collectPatternNames(param, names);
+	}
+	if (owner?.type === "CatchClause") collectPatternNames(owner.param, names);
+	return names;
+}
+
+/**
+ * Whether hoisting the block-scoped declarations of `block` into `scope`
+ * would redeclare one of `declaredNames` or capture a reference in `scope`
+ * that now reads an outer binding.
+ */
+function hasHoistingConflict(block, scope, declaredNames, sourceCode) {
+	if (block?.type !== "BlockStatement") return false;
+
+	for (const name of collectBlockScopedNames(block.body)) {
+		if (declaredNames.has(name) || isNameReferenced(scope, name, sourceCode)) return true;
+	}
+	return false;
+}
+
+function collectMultilineTemplateRanges(node, sourceCode, ranges) {
+	if (node.type === "TemplateLiteral") {
+		const range = getNodeRange(node);
+		if (range && sliceSource(sourceCode, range).includes("\n")) {
+			ranges.push(range);
+			return;
+		}
+	}
+
+	for (const child of getChildNodes(node, getVisitorKeys(sourceCode))) {
+		collectMultilineTemplateRanges(child, sourceCode, ranges);
+	}
+}
+
+/**
+ * Remove one indentation unit from every line of `text` (which starts at
+ * `offset`), leaving lines that begin inside a template literal untouched.
+ */
+function dedentLines(text, offset, indent, templateRanges) {
+	const lines = text.split("\n");
+	const bodyIndent = /^[ \t]*/.exec(lines[0])[0];
+	if (!bodyIndent.startsWith(indent) || bodyIndent.length <= indent.length) return null;
+
+	const unitLength = bodyIndent.length - indent.length;
+	let lineOffset = offset;
+
+	const dedented = lines.map((line) => {
+		const lineStart = lineOffset;
+		lineOffset += line.length + 1;
+
+		const insideTemplate = templateRanges.some(
+			(range) => lineStart > range[0] && lineStart < range[1],
+		);
+		if (insideTemplate) return line;
+		if (line.startsWith(bodyIndent)) return line.slice(unitLength);
+		if (line.trim().length === 0) return line.replace(/^[ \t]+/, "");
+		return line;
+	});
+
+	return dedented.join("\n");
+}
+
+function getLineIndent(sourceCode, offset) {
+	const lineStart = sourceCode.text.lastIndexOf("\n", offset - 1) + 1;
+	return { lineStart, indent: sourceCode.text.slice(lineStart, offset) };
+}
+
+/**
+ * Determine the range of the consequent body that moves out of the wrapper,
+ * or null when its layout is not one we can rewrite faithfully.
+ */
+function getHoistedBodyRange(consequent, sourceCode, isSingleLine) {
+	const range = getNodeRange(consequent);
+	if (!range) return null;
+
+	if (consequent.type !== "BlockStatement") {
+		if (isSingleLine) return range;
+
+		// The statement must start on its own line below the `if (...)`.
+		const { lineStart, indent } = getLineIndent(sourceCode, range[0]);
+		if (indent.trim().length > 0) return null;
+		return [lineStart, range[1]];
+	}
+
+	const innerRange = [range[0] + 1, range[1] - 1];
+	if (isSingleLine) return innerRange;
+
+	// Require the body to start on the line after `{` so indentation can be measured.
+	const leadingBreak = /^[ \t]*\r?\n/.exec(sliceSource(sourceCode, innerRange));
+	if (!leadingBreak) return null;
+	return [innerRange[0] + leadingBreak[0].length, innerRange[1]];
+}
+
+// Whether every comment inside `node` lies in one of the ranges a rewrite keeps verbatim.
+function areCommentsKept(node, keptRanges, sourceCode) {
+	return sourceCode.getCommentsInside(node).every((comment) => {
+		const commentRange = getNodeRange(comment);
+		return commentRange && keptRanges.some((range) => isRangeInside(commentRange, range));
+	});
+}
+
+function buildGuardClauseFix(node, ifStatement, sourceCode) {
+	if (typeof sourceCode?.getCommentsInside !== "function") return null;
+
+	const exitStatement = getGuardExitStatement(node);
+	if (!exitStatement) return null;
+
+	const consequent = ifStatement.consequent;
+	if (consequent.type === "BlockStatement" && consequent.body.length === 0) return null;
+
+	// Hoisted `let`/`const`/`class` must not redeclare a name or capture a reference, such as one in the test.
+	const container = ifStatement.parent;
+	const declaredNames = collectStatementListNames(container);
+	if (hasHoistingConflict(consequent, container, declaredNames, sourceCode)) return null;
+
+	const ifRange = getNodeRange(ifStatement);
+	const negated = negateCondition(ifStatement.test, sourceCode);
+	if (!ifRange || !negated) return null;
+
+	const isSingleLine = !sliceSource(sourceCode, ifRange).includes("\n");
+	const bodyRange = getHoistedBodyRange(consequent, sourceCode, isSingleLine);
+	if (!bodyRange) return null;
+
+	if (!areCommentsKept(ifStatement, [...negated.keptRanges, bodyRange], sourceCode)) return null;
+
+	const guard = `if (${negated.text}) ${exitStatement}`;
+	const bodyText = sliceSource(sourceCode, bodyRange).trimEnd();
+	const { indent } = getLineIndent(sourceCode, ifRange[0]);
+	const startsOwnLine = indent.trim().length === 0;
+
+	if (isSingleLine) {
+		const separator = startsOwnLine ? `\n${indent}` : " ";
+		return (fixer) => fixer.replaceTextRange(ifRange, `${guard}${separator}${bodyText.trim()}`);
+	}
+
+	if (!startsOwnLine) return null;
+
+	const templateRanges = [];
+	collectMultilineTemplateRanges(consequent, sourceCode, templateRanges);
+	const dedented = dedentLines(bodyText, bodyRange[0], indent, templateRanges);
+	if (dedented == null) return null;
+
+	return (fixer) => fixer.replaceTextRange(ifRange, `${guard}\n${dedented}`);
+}
+
+function isTrivialTailStatement(node) {
+	if (node?.type !== "ReturnStatement") return false;
+	if (node.argument == null) return true;
+	return node.argument.type === "Identifier" || isPrimitiveLiteralExpression(node.argument);
+}
+
+function getWrapperStatement(statements, allowTrailingStatements) {
+	if (statements.length === 1) {
+		return statements[0];
+	}
+
+	// `if (x) { ...big... } return y;` still wraps the body when the tail is trivial.
+	if (allowTrailingStatements && statements.length === 2 && isTrivialTailStatement(statements[1])) {
+		return statements[0];
+	}
+
+	return null;
+}
+
+function countConsequentStatements(consequent) {
+	if (consequent.type !== "BlockStatement") return 1;
+	return consequent.body.length;
+}
+
+/**
+ * Find the first if-statement nested deeper than `maxDepth` inside `node`,
+ * without descending into nested functions. `else if` keeps the depth of its parent.
+ */
+function findTooDeepIf(node, visitorKeys, depth, maxDepth) {
+	for (const child of getChildNodes(node, visitorKeys)) {
+		if (FUNCTION_NODE_TYPES.has(child.type)) continue;
+
+		const isElseIf = node.type === "IfStatement" && node.alternate === child;
+		const childDepth = child.type === "IfStatement" && !isElseIf ? depth + 1 : depth;
+		if (childDepth > maxDepth) return child;
+
+		const found = findTooDeepIf(child, visitorKeys, childDepth, maxDepth);
+		if (found) return found;
+	}
+
+	return null;
+}
+
+/**
+ * Find `node` or the first descendant outside nested functions that satisfies `predicate`.
+ */
+function findNode(node, visitorKeys, predicate) {
+	if (predicate(node)) return node;
+
+	for (const child of getChildNodes(node, visitorKeys)) {
+		if (FUNCTION_NODE_TYPES.has(child.type)) continue;
+		const found = findNode(child, visitorKeys, predicate);
+		if (found) return found;
+	}
+
+	return null;
+}
+
+function containsNode(node, visitorKeys, predicate) {
+	return findNode(node, visitorKeys, predicate) != null;
+}
+
+/**
+ * Whether the error binding `param` declared by `owner` (a catch clause or a
+ * rejection handler) is read anywhere in `body`.
+ */
+function isErrorBindingUsed(owner, param, body, sourceCode) {
+	const names = new Set();
+	collectPatternNames(param, names);
+
+	if (typeof sourceCode?.getDeclaredVariables === "function") {
+		const variables = sourceCode
+			.getDeclaredVariables(owner)
+			.filter((variable) => names.has(variable.name));
+		if (variables.length > 0) {
+			return variables.some((variable) => (variable.references ?? []).length > 0);
+		}
+	}
+
+	return [...names].some((name) => isNameReferenced(body, name, sourceCode));
+}
+
+function isHandledCatchBody(body, isHandlerCall, visitorKeys) {
+	return containsNode(body, visitorKeys, (node) => {
+		if (node.type === "ThrowStatement") return true;
+		return node.type === "CallExpression" && isHandlerCall(node.callee);
+	});
+}
+
+function getMemberPropertyName(member) {
+	if (member?.type !== "MemberExpression") return null;
+	if (!member.computed) return member.property?.name ?? null;
+	return typeof member.property?.value === "string" ? member.property.value : null;
+}
+
+/**
+ * Return the rejection handler passed to `p.catch(handler)` or
+ * `p.then(onFulfilled, handler)`, or null for any other call.
+ */
+function getRejectionHandler(callExpression) {
+	const propertyName = getMemberPropertyName(callExpression.callee);
+	if (propertyName === "catch") return callExpression.arguments[0] ?? null;
+	if (propertyName === "then") return callExpression.arguments[1] ?? null;
+	return null;
+}
+
+/**
+ * Whether the value of `node` is dropped: it is a statement of its own, or
+ * (after unwrapping `await`) is only passed to `void`.
+ */
+function isDiscardedValue(node) {
+	let current = node;
+	while (current.parent?.type === "AwaitExpression" || current.parent?.type === "ChainExpression") {
+		current = current.parent;
+	}
+
+	const parent = current.parent;
+	if (parent?.type === "ExpressionStatement") return true;
+	return parent?.type === "UnaryExpression" && parent.operator === "void";
+}
+
+function getAwaitedDeclarator(node) {
+	let current = node;
+	while (current.parent?.type === "AwaitExpression") {
+		current = current.parent;
+	}
+
+	const parent = current.parent;
+	if (parent?.type !== "VariableDeclarator" || parent.init !== current) return null;
+	return parent;
+}
+
+/**
+ * Whether any variable bound from `Promise.allSettled(...)` by `declarator`
+ * is read after the declaration.
+ */
+function isDeclaratorValueRead(declarator, sourceCode) {
+	if (typeof sourceCode?.getDeclaredVariables !== "function") return true;
+
+	return sourceCode.getDeclaredVariables(declarator).some((variable) => {
+		return (variable.references ?? []).some((reference) => {
+			return (
+				!isSameNodeLocation(reference.identifier, declarator.id) && reference.isRead?.() !== false
+			);
+		});
+	});
+}
+
+/** @type {import('eslint').Rule.RuleModule} */
+const requireGuardClausesRule = {
+	meta: {
+		type: "suggestion",
+		docs: {
+			description:
+				"Require guard clauses by forbidding a single if-statement that wraps the entire function body.",
+			recommended: false,
+		},
+		fixable: "code",
+		schema: [
+			{
+				type: "object",
+				properties: {
+					minConsequentStatements: { type: "integer", minimum: 1 },
+					allowTrailingStatements: { type: "boolean" },
+					maxNestingDepth: { type: "integer", minimum: 1 },
+					checkLoops: { type: "boolean" },
+					terminatingCalls: { type: "array", items: { type: "string" } },
+				},
+				additionalProperties: false,
+			},
+		],
+		messages: {
+			requireGuardClause: REQUIRE_GUARD_CLAUSE_MESSAGE,
+			requireLoopGuardClause: REQUIRE_LOOP_GUARD_CLAUSE_MESSAGE,
+			maxNestingDepth: MAX_NESTING_DEPTH_MESSAGE,
+		},
+	},
+	create(context) {
+		const options = context.options?.[0] ?? {};
+		const sourceCode = getSourceCode(context);
+		const minConsequentStatements = options.minConsequentStatements ?? 1;
+		const terminatingCalls = new Set([
+			...(options.terminatingCalls ?? DEFAULT_TERMINATING_CALLS),
+			...getFileIndex(sourceCode).neverReturningNames,
+		]);
+
+		function checkNestingDepth(body) {
+			if (typeof options.maxNestingDepth !== "number") {
+				return;
+			}
+
+			const tooDeep = findTooDeepIf(body, getVisitorKeys(sourceCode), 0, options.maxNestingDepth);
+			if (!tooDeep) {
+				return;
+			}
+
+			context.report({
+				node: tooDeep,
+				messageId: "maxNestingDepth",
+				data: { max: options.maxNestingDepth },
+			});
+		}
+
+		/**
+		 * Report `statements` (the body of `node`) when they are just a wrapper if.
+		 * `fixable` is false when the body has no braces to hoist statements into.
+		 */
+		function checkWrappedStatements(node, statements, messageId, fixable) {
+			const isLoop = LOOP_NODE_TYPES.has(node.type);
+			const allowTrailing = !isLoop && options.allowTrailingStatements === true;
+			const wrapper = getWrapperStatement(statements, allowTrailing);
+			if (!wrapper || wrapper.type !== "IfStatement") {
+				return;
+			}
+
+			// We only care about the "wrapper if" shape: a single if with no alternate.
+			if (wrapper.alternate != null) {
+				return;
+			}
+
+			// Allow actual guard clauses / early exits, e.g.:
+			// if (!user) return;
+			if (isGuardClause(wrapper, terminatingCalls)) {
+				return;
+			}
+
+			if (countConsequentStatements(wrapper.consequent) < minConsequentStatements) {
+				return;
+			}
+
+			// Only the sole-statement shape can be rewritten without touching the trailing tail.
+			const canFix = fixable && statements.length === 1;
+			const fix = canFix ? buildGuardClauseFix(node, wrapper, sourceCode) : null;
+
+			context.report({
+				node: wrapper,
+				messageId,
+				fix,
+			});
+		}
+
+		function checkFunctionLike(node) {
+			const body = node.body;
+			if (!body || body.type !== "BlockStatement") {
+				return;
+			}
+
+			checkNestingDepth(body);
+			checkWrappedStatements(node, body.body, "requireGuardClause", true);
+		}
+
+		function checkStaticBlock(node) {
+			checkNestingDepth(node);
+			checkWrappedStatements(node, node.body ?? [], "requireGuardClause", true);
+		}
+
+		function checkLoop(node) {
+			if (options.checkLoops !== true) {
+				return;
+			}
+
+			const body = node.body;
+			if (!body) {
+				return;
+			}
+
+			if (body.type !== "BlockStatement") {
+				checkWrappedStatements(node, [body], "requireLoopGuardClause", false);
+				return;
+			}
+
+			checkWrappedStatements(node, body.body, "requireLoopGuardClause", true);
+		}
+
+		return {
+			FunctionDeclaration: checkFunctionLike,
+			FunctionExpression: checkFunctionLike,
+			ArrowFunctionExpression: checkFunctionLike,
+			StaticBlock: checkStaticBlock,
+			ForStatement: checkLoop,
+			ForInStatement: checkLoop,
+			ForOfStatement: checkLoop,
+			WhileStatement: checkLoop,
+			DoWhileStatement: checkLoop,
+		};
+	},
+};
+
+/** @type {import('eslint').Rule.RuleModule} */
+const noSwallowedCatchRule = {
+	meta: {
+		type: "problem",
+		docs: {
+			description:
+				"Forbid catch blocks, promise rejection handlers and finally blocks that swallow errors.",
+			recommended: false,
+		},
+		schema: [
+			{
+				type: "object",
+				properties: {
+					reportUnusedBinding: { type: "boolean" },
+					reportOptionalCatchBinding: { type: "boolean" },
+					handlers: { type: "array", items: { type: "string" } },
+					justificationPattern: { type: "string" },
+					minJustificationLength: { type: "integer", minimum: 0 },
+				},
+				additionalProperties: false,
+			},
+		],
+		messages: {
+			noSwallowedCatch: NO_SWALLOWED_CATCH_MESSAGE,
+			discardedCatchError: DISCARDED_CATCH_ERROR_MESSAGE,
+			shortJustification: SHORT_JUSTIFICATION_MESSAGE,
+			uninspectedAllSettled: UNINSPECTED_ALL_SETTLED_MESSAGE,
+			finallyReturn: FINALLY_RETURN_MESSAGE,
+		},
+	},
+	create(context) {
+		const options = context.options?.[0] ?? {};
+		const sourceCode = getSourceCode(context);
+		const isHandlerCall = createCalleeMatcher(options.handlers ?? DEFAULT_CATCH_HANDLERS);
+		const justificationPattern = new RegExp(
+			options.justificationPattern ?? DEFAULT_JUSTIFICATION_PATTERN,
+			"s",
+		);
+		const minJustificationLength =
+			options.minJustificationLength ?? DEFAULT_MIN_JUSTIFICATION_LENGTH;
+
+		// A justification comment opts the catch out entirely, if it gives a real reason.
+		function checkJustification(body) {
+			const justification = findJustification(body, sourceCode, justificationPattern);
+			if (!justification) {
+				return false;
+			}
+
+			if (justification.reason.length < minJustificationLength) {
+				context.report({
+					loc: justification.comment.loc,
+					messageId: "shortJustification",
+					data: { min: minJustificationLength },
+				});
+			}
+			return true;
+		}
+
+		// Non-empty handlers only swallow when the error is dropped and nothing handles it.
+		function checkDiscardedError(owner, param, body) {
+			const hasBinding = param != null;
+			if (hasBinding && options.reportUnusedBinding !== true) {
+				return;
+			}
+			if (!hasBinding && options.reportOptionalCatchBinding !== true) {
+				return;
+			}
+			if (hasBinding && isErrorBindingUsed(owner, param, body, sourceCode)) {
+				return;
+			}
+			if (isHandledCatchBody(body, isHandlerCall, getVisitorKeys(sourceCode))) {
+				return;
+			}
+
+			context.report({ node: param ?? body, messageId: "discardedCatchError" });
+		}
+
+		/**
+		 * Shared by `catch (e) { ... }` and `.catch((e) => { ... })`: `owner`
+		 * declares the error binding `param` and `body` is its block.
+		 */
+		function checkHandlerBlock(owner, param, body) {
+			if (checkJustification(body)) {
+				return;
+			}
+
+			const isStructurallyEmpty = body.body.length === 0;
+			if (!isStructurallyEmpty && !blockHasOnlyComments(body, sourceCode)) {
+				checkDiscardedError(owner, param, body);
+				return;
+			}
+
+			context.report({ node: body, messageId: "noSwallowedCatch" });
+		}
+
+		function checkRejectionHandler(handler) {
+			if (NOOP_HANDLER_NAMES.has(getCalleeName(handler))) {
+				context.report({ node: handler, messageId: "noSwallowedCatch" });
+				return;
+			}
+
+			if (!FUNCTION_NODE_TYPES.has(handler.type)) {
+				return;
+			}
+
+			const body = handler.body;
+			if (body.type === "BlockStatement") {
+				checkHandlerBlock(handler, handler.params[0], body);
+				return;
+			}
+
+			// `() => undefined` and `() => null` resolve the rejection to nothing.
+			if (isMissingValueLiteral(body)) {
+				context.report({ node: handler, messageId: "noSwallowedCatch" });
+				return;
+			}
+
+			checkDiscardedError(handler, handler.params[0], body);
+		}
+
+		function checkAllSettled(node) {
+			if (isDiscardedValue(node)) {
+				context.report({ node, messageId: "uninspectedAllSettled" });
+				return;
+			}
+
+			const declarator = getAwaitedDeclarator(node);
+			if (!declarator || isDeclaratorValueRead(declarator, sourceCode)) {
+				return;
+			}
+
+			context.report({ node, messageId: "uninspectedAllSettled" });
+		}
+
+		return {
+			CatchClause(node) {
+				const body = node.body;
+				if (!body || body.type !== "BlockStatement") {
+					return;
+				}
+
+				checkHandlerBlock(node, node.param, body);
+			},
+			CallExpression(node) {
+				if (getCalleeName(node.callee) === "Promise.allSettled") {
+					checkAllSettled(node);
+					return;
+				}
+
+				const handler = getRejectionHandler(node);
+				if (!handler) {
+					return;
+				}
+
+				checkRejectionHandler(handler);
+			},
+			TryStatement(node) {
+				if (node.handler != null || !node.finalizer) {
+					return;
+				}
+
+				// `return` in a catch-less finally replaces whatever the try block threw.
+				const finallyReturn = findNode(
+					node.finalizer,
+					getVisitorKeys(sourceCode),
+					(child) => child.type === "ReturnStatement",
+				);
+				if (!finallyReturn) {
+					return;
+				}
+
+				context.report({ node: finallyReturn, messageId: "finallyReturn" });
+			},
+		};
+	},
+};
+
+function getLineEnd(sourceCode, offset) {
+	const lineEnd = sourceCode.text.indexOf("\n", offset);
+	return lineEnd === -1 ? sourceCode.text.length : lineEnd;
+}
+
+function isBlankText(text) {
+	return text.trim().length === 0;
+}
+
+/**
+ * Describe the lines a top-level statement occupies so it can be cut and
+ * pasted elsewhere: `start` includes the comments directly above it (such as
+ * JSDoc), `textEnd` includes a trailing same-line comment, and `removeEnd`
+ * also swallows the line break and any blank lines that follow. Returns null
+ * when the statement shares a line with other code.
+ */
+function getStatementChunk(node, sourceCode) {
+	const range = getNodeRange(node);
+	if (!range || typeof sourceCode?.getCommentsBefore !== "function") return null;
+
+	const statementLineStart = getLineIndent(sourceCode, range[0]).lineStart;
+	if (!isBlankText(sliceSource(sourceCode, [statementLineStart, range[0]]))) return null;
+
+	let start = statementLineStart;
+	const leadingComments = sourceCode.getCommentsBefore(node);
+	for (let i = leadingComments.length - 1; i >= 0; i -= 1) {
+		const commentRange = getNodeRange(leadingComments[i]);
+		const commentLineStart = getLineIndent(sourceCode, commentRange[0]).lineStart;
+		if (!isBlankText(sliceSource(sourceCode, [commentLineStart, commentRange[0]]))) break;
+		start = commentLineStart;
+	}
+
+	const textEnd = getLineEnd(sourceCode, range[1]);
+	let rest = sliceSource(sourceCode, [range[1], textEnd]);
+	for (const comment of sourceCode.getCommentsAfter(node)) {
+		const commentRange = getNodeRange(comment);
+		if (commentRange[0] >= textEnd) break;
+		rest = rest.replace(sliceSource(sourceCode, commentRange), "");
+	}
+	if (!isBlankText(rest)) return null;
+
+	let removeEnd = Math.min(textEnd + 1, sourceCode.text.length);
+	while (removeEnd < sourceCode.text.length) {
+		const nextLineEnd = getLineEnd(sourceCode, removeEnd);
+		if (!isBlankText(sliceSource(sourceCode, [removeEnd, nextLineEnd]))) break;
+		removeEnd = Math.min(nextLineEnd + 1, sourceCode.text.length);
+	}
+
+	return { start, statementLineStart, textEnd, removeEnd };
+}
+
+function isSideEffectFreeInitializer(node) {
+	if (node == null) return true;
+	if (isPrimitiveLiteralExpression(node)) return true;
+	if (node.type === "Literal") return true;
+	if (node.type === "ArrowFunctionExpression" || node.type === "FunctionExpression") return true;
+	if (node.type === "ClassExpression") return isSideEffectFreeClass(node);
+
+	if (node.type === "ArrayExpression") {
+		return node.elements.every(
+			(element) => element == null || isSideEffectFreeInitializer(element),
+		);
+	}
+
+	if (node.type === "ObjectExpression") {
+		return node.properties.every((property) => {
+			if (property.type !== "Property" || property.computed) return false;
+			return isSideEffectFreeInitializer(property.value);
+		});
+	}
+
+	if (node.type === "TSAsExpression" || node.type === "TSSatisfiesExpression") {
+		return isSideEffectFreeInitializer(node.expression);
+	}
+
+	return false;
+}
+
+function isSideEffectFreeClass(node) {
+	if ((node.decorators ?? []).length > 0) return false;
+	if (node.superClass != null && node.superClass.type !== "Identifier") return false;
+
+	// Static blocks and static field initializers run when the class is defined.
+	return (node.body?.body ?? []).every((member) => {
+		if (member.type === "StaticBlock") return false;
+		if (member.computed) return false;
+		return !(member.static && member.value != null && member.type !== "MethodDefinition");
+	});
+}
+
+function isSideEffectFreeDeclaration(declaration) {
+	if (!declaration) return true;
+	if (declaration.type === "FunctionDeclaration") return true;
+	if (declaration.type === "ClassDeclaration") return isSideEffectFreeClass(declaration);
+
+	if (declaration.type === "VariableDeclaration") {
+		return declaration.declarations.every((declarator) => {
+			return isSideEffectFreeInitializer(declarator.init);
+		});
+	}
+
+	return isSideEffectFreeInitializer(declaration);
+}
+
+/**
+ * Whether moving an export to the end keeps the module's behavior: function
+ * declarations and re-exports are hoisted, and anything else must be side-effect
+ * free. Read-before-initialization hazards are ruled out by the dependency graph
+ * before a move is ever offered, so without a graph only hoisted exports are safe.
+ */
+function isSafeExportMove(node, graph) {
+	if (node.type === "ExportAllDeclaration" || node.source != null) return true;
+
+	const declaration = node.declaration;
+	if (declaration?.type === "FunctionDeclaration") return true;
+	return graph != null && isSideEffectFreeDeclaration(declaration);
+}
+
+function buildMoveExportFix(node, program, sourceCode) {
+	const chunk = getStatementChunk(node, sourceCode);
+	const lastStatement = program.body[program.body.length - 1];
+	if (!chunk || !lastStatement || lastStatement === node) return null;
+
+	const insertAt = getLineEnd(sourceCode, getNodeRange(lastStatement)[1]);
+	const text = sliceSource(sourceCode, [chunk.start, chunk.textEnd]);
+
+	return (fixer) => [
+		fixer.removeRange([chunk.start, chunk.removeEnd]),
+		fixer.insertTextAfterRange([insertAt, insertAt], `\n\n${text}`),
+	];
+}
+
+/**
+ * Index of the top-level statement containing `offset`, or -1.
+ */
+function findTopLevelIndex(body, offset) {
+	let low = 0;
+	let high = body.length - 1;
+	while (low <= high) {
+		const middle = (low + high) >> 1;
+		const range = getNodeRange(body[middle]);
+		if (offset < range[0]) {
+			high = middle - 1;
+			continue;
+		}
+		if (offset >= range[1]) {
+			low = middle + 1;
+			continue;
+		}
+		return middle;
+	}
+	return -1;
+}
+
+/**
+ * Whether `identifier` is evaluated when its top-level `statement` runs, as
+ * opposed to later from inside a function or an instance field initializer.
+ * Immediately invoked functions count as evaluated.
+ */
+function isEagerReference(identifier, statement) {
+	for (let current = identifier; current; current = current.parent) {
+		const parent = current.parent;
+		if (parent?.type === "PropertyDefinition" && parent.value === current && !parent.static) {
+			return false;
+		}
+
+		const isDeferredFunction =
+			FUNCTION_NODE_TYPES.has(current.type) &&
+			!(parent?.type === "CallExpression" && parent.callee === current);
+		if (isDeferredFunction) return false;
+		if (current === statement) return true;
+	}
+	return true;
+}
+
+/**
+ * Build a top-level dependency graph from the scope manager: for every
+ * top-level statement, the module bindings it declares, the ones it reads
+ * while the module evaluates (`eagerNames`), and the ones it only reads from
+ * inside functions (`lazyNames`). Returns null without a scope manager.
+ */
+function buildTopLevelDependencyGraph(program, sourceCode) {
+	const scopeManager = sourceCode?.scopeManager;
+	if (!scopeManager?.globalScope) return null;
+
+	const body = program.body;
+	const declaredNames = body.map(() => []);
+	const eagerNames = body.map(() => new Set());
+	const lazyNames = body.map(() => new Set());
+	const declaringIndex = new Map();
+
+	for (const variable of getModuleScope(scopeManager).variables ?? []) {
+		const definitionName = variable.defs?.[0]?.name;
+		if (!definitionName) continue;
+
+		const definitionIndex = findTopLevelIndex(body, getNodeRange(definitionName)[0]);
+		if (definitionIndex === -1) continue;
+		declaringIndex.set(variable.name, definitionIndex);
+		declaredNames[definitionIndex].push(variable.name);
+
+		for (const reference of variable.references ?? []) {
+			// The declaration initializing its own binding is not a dependency.
+			if (reference.init === true) continue;
+
+			const index = findTopLevelIndex(body, getNodeRange(reference.identifier)[0]);
+			if (index === -1) continue;
+
+			const names = isEagerReference(reference.identifier, body[index]) ? eagerNames : lazyNames;
+			names[index].add(variable.name);
+		}
+	}
+
+	return {
+		declaredNames,
+		eagerNames,
+		lazyNames,
+		declaringIndex,
+		dependencyCache: new Map(),
+		eagerDependents: null,
+	};
+}
+
+/**
+ * Every binding statement `index` may read while the module evaluates. Reading
+ * a binding eagerly may call into it, so the bindings its declaration reads
+ * lazily are followed transitively.
+ */
+function getEagerDependencies(graph, index) {
+	const cached = graph.dependencyCache.get(index);
+	if (cached) return cached;
+
+	const names = new Set(graph.eagerNames[index]);
+	const visited = new Set();
+	for (const name of names) {
+		const declaringIndex = graph.declaringIndex.get(name);
+		if (declaringIndex == null || visited.has(declaringIndex)) continue;
+		visited.add(declaringIndex);
+		for (const lazyName of graph.lazyNames[declaringIndex]) {
+			names.add(lazyName);
+		}
+	}
+
+	graph.dependencyCache.set(index, names);
+	return names;
+}
+
+/**
+ * For every binding, the indices of the statements that may read it while the
+ * module evaluates, in source order.
+ */
+function getEagerDependents(graph) {
+	if (graph.eagerDependents) return graph.eagerDependents;
+
+	graph.eagerDependents = new Map();
+	for (let i = 0; i < graph.eagerNames.length; i += 1) {
+		for (const name of getEagerDependencies(graph, i)) {
+			const dependents = graph.eagerDependents.get(name) ?? [];
+			dependents.push(i);
+			graph.eagerDependents.set(name, dependents);
+		}
+	}
+	return graph.eagerDependents;
+}
+
+/**
+ * Find a later statement that would read a binding of the export at `index`
+ * before initialization if the export moved to the end of the file. Statements
+ * in `movingIndices` move along with it and keep their relative order.
+ */
+function findEvaluationDependent(graph, body, index, movingIndices) {
+	if (body[index].declaration?.type === "FunctionDeclaration") return null;
+
+	const declared = graph.declaredNames[index];
+	if (declared.length === 0) return null;
+
+	const eagerDependents = getEagerDependents(graph);
+	let first = -1;
+	for (const name of declared) {
+		const dependent = (eagerDependents.get(name) ?? []).find(
+			(i) => i > index && !movingIndices.has(i),
+		);
+		if (dependent != null && (first === -1 || dependent < first)) first = dependent;
+	}
+	if (first === -1) return null;
+
+	const dependencies = getEagerDependencies(graph, first);
+	return { name: declared.find((item) => dependencies.has(item)), statement: body[first] };
+}
+
+function buildInlineExportListFix(node, fileIndex, sourceCode) {
+	const chunk = getStatementChunk(node, sourceCode);
+	if (!chunk) return null;
+
+	const declarations = [];
+	for (const specifier of node.specifiers) {
+		// Renamed exports such as `export { a as b }` cannot be inlined.
+		const localName = specifier.local?.name;
+		if (!localName || specifier.exported?.name !== localName) return null;
+
+		const declaration = fileIndex.inlineableDeclarations.get(localName);
+		if (!declaration) return null;
+		declarations.push(declaration);
+	}
+
+	return (fixer) => [
+		fixer.removeRange([chunk.statementLineStart, chunk.removeEnd]),
+		...declarations.map((declaration) => fixer.insertTextBefore(declaration, "export ")),
+	];
+}
+
+function isShadowedBetween(scope, name, declaringScope) {
+	for (let current = scope; current && current !== declaringScope; current = current.upper) {
+		if (current.set?.has(name)) return true;
+	}
+	return false;
+}
+
+/**
+ * Build a fix that renames the alias target to the exported name and exports
+ * its declaration directly, e.g. `const impl = ...; export const api = impl;`
+ * becomes `export const api = ...;`. Returns null when that is not possible.
+ */
+function buildAliasExportFix(node, fileIndex, sourceCode) {
+	const declarators = node.declaration.declarations;
+	const declarator = declarators[0];
+	if (declarators.length !== 1 || declarator.id?.type !== "Identifier") return null;
+	if (declarator.init?.type !== "Identifier") return null;
+
+	const exportedName = declarator.id.name;
+	const targetName = declarator.init.name;
+	const target = fileIndex.inlineableDeclarations.get(targetName);
+	const chunk = getStatementChunk(node, sourceCode);
+	if (!target || !chunk || typeof sourceCode?.getDeclaredVariables !== "function") return null;
+
+	const variable = sourceCode.getDeclaredVariables(target).find((item) => item.name === targetName);
+	if (!variable) return null;
+
+	const edits = (variable.identifiers ?? []).map((identifier) => [identifier, exportedName]);
+	for (const reference of variable.references ?? []) {
+		const identifier = reference.identifier;
+		if (isSameNodeLocation(identifier, declarator.init)) continue;
+		// The declaration's own initializing write is already renamed above.
+		if (edits.some(([edited]) => isSameNodeLocation(edited, identifier))) continue;
+		if (identifier.parent?.type === "ExportSpecifier") return null;
+		if (isShadowedBetween(reference.from, exportedName, variable.scope)) return null;
+
+		const isShorthand = identifier.parent?.type === "Property" && identifier.parent.shorthand;
+		edits.push([identifier, isShorthand ? `${targetName}: ${exportedName}` : exportedName]);
+	}
+
+	return (fixer) => [
+		fixer.removeRange([chunk.statementLineStart, chunk.removeEnd]),
+		fixer.insertTextBefore(target, "export "),
+		...edits.map(([identifier, text]) => fixer.replaceText(identifier, text)),
+	];
+}
+
+/**
+ * Moving an export to the end is an autofix when it cannot change behavior,
+ * and only a suggestion otherwise.
+ */
+function getMoveExportFixes(node, program, sourceCode, graph) {
+	const fix = buildMoveExportFix(node, program, sourceCode);
+	if (!fix) return {};
+	if (isSafeExportMove(node, graph)) return { fix };
+	return { suggest: [{ messageId: "moveExportToEnd", fix }] };
+}
+
+/** @type {import('eslint').Rule.RuleModule} */
+const exportsLastExceptTypesRule = {
+	meta: {
+		type: "layout",
+		docs: {
+			description:
+				"Require value exports at the bottom of the file, but allow type-only exports anywhere.",
+			recommended: false,
+		},
+		fixable: "code",
+		hasSuggestions: true,
+		schema: [
+			{
+				type: "object",
+				properties: {
+					allowReExport: { type: "boolean" },
+					allowFrozenLiterals: { type: "boolean" },
+					allowConstAssertions: { type: "boolean" },
+					allowRegexLiterals: { type: "boolean" },
+					allowEnums: { type: "boolean" },
+					allowDeclare: { type: "boolean" },
+					exemptNames: { type: "array", items: { type: "string" } },
+					projectReport: { type: "string" },
+				},
+				additionalProperties: false,
+			},
+		],
+		messages: {
+			exportsLast: EXPORTS_LAST_EXCEPT_TYPES_MESSAGE,
+			noExportSpecifiers: NO_EXPORT_SPECIFIERS_MESSAGE,
+			noExportAlias: NO_EXPORT_ALIAS_MESSAGE,
+			noDefaultExportIdentifier: NO_DEFAULT_EXPORT_IDENTIFIER_MESSAGE,
+			exportOrderTdz: EXPORT_ORDER_TDZ_MESSAGE,
+			moveExportToEnd: MOVE_EXPORT_TO_END_MESSAGE,
+			exportAliasTarget: EXPORT_ALIAS_TARGET_MESSAGE,
+			unusedDefaultExport: UNUSED_DEFAULT_EXPORT_MESSAGE,
+		},
+	},
+	create(context) {
+		const options = context.options?.[0] ?? {};
+		const exemptions = createExportExemptions(options);
+		const sourceCode = getSourceCode(context);
+		const projectFile = getProjectFileFacts(context, options);
+
+		return {
+			Program(program) {
+				const body = program.body ?? [];
+				if (body.length === 0) return;
+
+				const fileIndex = getFileIndex(sourceCode);
+
+				// Forbid default exports that just reference an identifier.
+				for (const node of fileIndex.defaultIdentifierExports) {
+					if (!isAllowedDefaultIdentifierExport(node, fileIndex)) {
+						context.report({
+							node,
+							messageId: "noDefaultExportIdentifier",
+						});
+						continue;
+					}
+
+					if (!isUnusedDefaultExport(projectFile)) continue;
+					context.report({
+						node,
+						messageId: "unusedDefaultExport",
+					});
+				}
+
+				// First, forbid local export lists like `export { foo }`.
+				for (const node of fileIndex.exportLists) {
+					if (isTypeOnlyExport(node)) continue;
+
+					context.report({
+						node,
+						messageId: "noExportSpecifiers",
+						fix: buildInlineExportListFix(node, fileIndex, sourceCode),
+					});
+				}
+
+				// Next, forbid alias exports like `export const x = y`.
+				for (const node of fileIndex.aliasExports) {
+					// Exporting the target directly can change hoisting and TDZ behavior, so only suggest it.
+					const aliasFix = buildAliasExportFix(node, fileIndex, sourceCode);
+					context.report({
+						node,
+						messageId: "noExportAlias",
+						suggest: aliasFix ? [{ messageId: "exportAliasTarget", fix: aliasFix }] : null,
+					});
+				}
+
+				const lastNonExportIndex = fileIndex.lastNonExportIndex;
+
+				// If everything is exports, there is nothing to enforce.
+				if (lastNonExportIndex === -1) return;
+
+				// Any non-exempt export before that index is a violation.
+				const misplacedIndices = new Set();
+				for (let i = 0; i < lastNonExportIndex; i += 1) {
+					const node = body[i];
+					if (!isExportNode(node)) continue;
+					if (fileIndex.exportLists.has(node) && !isTypeOnlyExport(node)) continue;
+					if (fileIndex.aliasExports.has(node)) continue;
+					if (isExemptExport(node, exemptions)) continue;
+
+					misplacedIndices.add(i);
+				}
+				if (misplacedIndices.size === 0) return;
+
+				const graph = buildTopLevelDependencyGraph(program, sourceCode);
+				for (const i of misplacedIndices) {
+					const node = body[i];
+					const dependent = graph && findEvaluationDependent(graph, body, i, misplacedIndices);
+
+					// Moving this export would make later code read it before initialization.
+					if (dependent) {
+						context.report({
+							node,
+							messageId: "exportOrderTdz",
+							data: { name: dependent.name, line: dependent.statement.loc.start.line },
+						});
+						continue;
+					}
+
+					context.report({
+						node,
+						messageId: "exportsLast",
+						...getMoveExportFixes(node, program, sourceCode, graph),
+					});
+				}
+			},
+		};
+	},
+};
+
+/** @type {import('eslint').Rule.RuleModule} */
+const noEmptyWrappersRule = {
+	meta: {
+		type: "suggestion",
+		docs: {
+			description:
+				"Disallow exported empty wrapper functions that only pass through to another call.",
+			recommended: false,
+		},
+		schema: [
+			{
+				type: "object",
+				properties: {
+					checkConciseArrows: { type: "boolean" },
+					checkFunctionExpressions: { type: "boolean" },
+					checkObjectMethods: { type: "boolean" },
+					checkStaticMethods: { type: "boolean" },
+					checkThisMethods: { type: "boolean" },
+					checkBindCall: { type: "boolean" },
+					allowTypeNarrowing: { type: "boolean" },
+					allowModuleBoundary: { enum: ["none", "packages", "all"] },
+					projectReport: { type: "string" },
+				},
+				additionalProperties: false,
+			},
+		],
+		messages: {
+			noEmptyWrapper: NO_EMPTY_WRAPPERS_MESSAGE,
+			reExportModule: RE_EXPORT_MODULE_MESSAGE,
+		},
+	},
+	create(context) {
+		const options = context.options?.[0] ?? {};
+		const sourceCode = getSourceCode(context);
+		const boundary = options.allowModuleBoundary ?? "none";
+		const projectFile = getProjectFileFacts(context, options);
+
+		function isCheckedExport(node) {
+			const kind = getWrapperExportKind(node);
+			if (kind === "declaration") return true;
+			return kind != null && options[kind] !== false;
+		}
 
-			const statements = body.body;
-			if (statements.length !== 1) {
+		function checkFunctionLike(node) {
+			if (!isCheckedExport(node)) {
+				return;
+			}
+
+			const callExpression = getWrappedCall(node, options);
+			if (!callExpression) {
+				return;
+			}
+
+			const args = getForwardedArguments(callExpression, options);
+			if (!args || !isPassThroughWrapper(node, args)) {
 				return;
 			}
 
-			const onlyStatement = statements[0];
-			if (onlyStatement.type !== "IfStatement") {
+			const allowsNarrowing = options.allowTypeNarrowing === true;
+			if (allowsNarrowing && isTypeNarrowingWrapper(node, callExpression, sourceCode)) {
+				return;
+			}
+
+			if (crossesModuleBoundary(callExpression, sourceCode, boundary, projectFile)) {
+				return;
+			}
+
+			context.report({
+				node,
+				messageId: "noEmptyWrapper",
+			});
+		}
+
+		return {
+			Program(program) {
+				const chain = projectFile?.reExportChain ?? [];
+				if (chain.length === 0) return;
+
+				const reExport = program.body.find((statement) => statement.source != null);
+				if (!reExport || reExport.type === "ImportDeclaration") return;
+
+				context.report({
+					node: reExport,
+					messageId: "reExportModule",
+					data: { chain: chain.join(" -> "), target: chain.at(-1) },
+				});
+			},
+			FunctionDeclaration: checkFunctionLike,
+			FunctionExpression: checkFunctionLike,
+			ArrowFunctionExpression: checkFunctionLike,
+			CallExpression(node) {
+				if (options.checkBindCall === false || !isBindForwarder(node)) return;
+				if (!isCheckedExport(node)) return;
+				if (crossesModuleBoundary(node, sourceCode, boundary, projectFile)) return;
+
+				context.report({
+					node,
+					messageId: "noEmptyWrapper",
+				});
+			},
+		};
+	},
+};
+
+/**
+ * How many conditional expressions enclose `node` (itself included) within
+ * the same function. A ternary inside a callback starts a new chain.
+ */
+function getTernaryDepth(node) {
+	let depth = 1;
+	for (let current = node.parent; current; current = current.parent) {
+		if (FUNCTION_NODE_TYPES.has(current.type)) break;
+		if (current.type === "ConditionalExpression") depth += 1;
+	}
+	return depth;
+}
+
+/** @type {import('eslint').Rule.RuleModule} */
+const noNestedTernaryChainsRule = {
+	meta: {
+		type: "suggestion",
+		docs: {
+			description:
+				"Disallow nested conditional expression chains and conditional expressions used as statements.",
+			recommended: false,
+		},
+		schema: [
+			{
+				type: "object",
+				properties: {
+					maxDepth: { type: "integer", minimum: 1 },
+					checkStatements: { type: "boolean" },
+				},
+				additionalProperties: false,
+			},
+		],
+		messages: {
+			nestedTernary: NESTED_TERNARY_MESSAGE,
+			ternaryStatement: TERNARY_STATEMENT_MESSAGE,
+		},
+	},
+	create(context) {
+		const options = context.options?.[0] ?? {};
+		const maxDepth = options.maxDepth ?? 1;
+
+		return {
+			ConditionalExpression(node) {
+				// Only the outermost ternary past the limit is reported; deeper ones are part of the same chain.
+				if (getTernaryDepth(node) !== maxDepth + 1) return;
+
+				context.report({
+					node,
+					messageId: "nestedTernary",
+					data: { max: maxDepth },
+				});
+			},
+			ExpressionStatement(node) {
+				if (options.checkStatements === false) return;
+				if (unwrapExpression(node.expression)?.type !== "ConditionalExpression") return;
+
+				context.report({
+					node,
+					messageId: "ternaryStatement",
+				});
+			},
+		};
+	},
+};
+
+function isBooleanLiteral(node) {
+	return node?.type === "Literal" && typeof node.value === "boolean";
+}
+
+function isBooleanAnnotated(node) {
+	return node?.typeAnnotation?.typeAnnotation?.type === "TSBooleanKeyword";
+}
+
+// `flag: boolean`, `flag = false`, and constructor parameter properties of either form.
+function isBooleanFlagParam(param) {
+	const target = param?.type === "TSParameterProperty" ? param.parameter : param;
+	if (target?.type === "AssignmentPattern") {
+		return isBooleanLiteral(target.right) || isBooleanAnnotated(target.left);
+	}
+	return target?.type === "Identifier" && !isThisParameter(target) && isBooleanAnnotated(target);
+}
+
+function getParamName(param) {
+	const target = param?.type === "TSParameterProperty" ? param.parameter : param;
+	const name = target?.type === "AssignmentPattern" ? target.left : target;
+	return name?.type === "Identifier" ? name.name : "flag";
+}
+
+/**
+ * Whether the caller, not the author, decides the signature of `node`:
+ * setters and callbacks passed straight to a call.
+ */
+function hasImposedSignature(node) {
+	const parent = node.parent;
+	if (parent?.type === "MethodDefinition" || parent?.type === "Property") {
+		return parent.kind === "set";
+	}
+	return parent?.type === "CallExpression" || parent?.type === "NewExpression";
+}
+
+/**
+ * The items of `items` that `isFlag` matches, minus a lone trailing one when
+ * `allowTrailingFlag` is set.
+ */
+function getReportedFlags(items, isFlag, allowTrailingFlag) {
+	const flags = items.filter(isFlag);
+	if (allowTrailingFlag && flags.length === 1 && flags[0] === items.at(-1)) return [];
+	return flags;
+}
+
+// The top-level function that the call `node` resolves to, if it is declared in this file.
+function findCalledLocalFunction(node, fileIndex) {
+	const callee = node.callee;
+	if (callee?.type !== "Identifier") return null;
+
+	const fn = fileIndex.localFunctions.get(callee.name);
+	if (!fn) return null;
+
+	// A nested binding with the same name shadows the top-level function.
+	return isModuleBindingReference(fileIndex, callee) ? fn : null;
+}
+
+/** @type {import('eslint').Rule.RuleModule} */
+const noBooleanFlagParamsRule = {
+	meta: {
+		type: "suggestion",
+		docs: {
+			description:
+				"Disallow boolean flag parameters and positional boolean arguments in favor of options objects.",
+			recommended: false,
+		},
+		schema: [
+			{
+				type: "object",
+				properties: {
+					allowTrailingFlag: { type: "boolean" },
+					exportedOnly: { type: "boolean" },
+				},
+				additionalProperties: false,
+			},
+		],
+		messages: {
+			booleanFlagParam: BOOLEAN_FLAG_PARAM_MESSAGE,
+			booleanFlagArgument: BOOLEAN_FLAG_ARGUMENT_MESSAGE,
+		},
+	},
+	create(context) {
+		const options = context.options?.[0] ?? {};
+		const allowTrailingFlag = options.allowTrailingFlag === true;
+		const sourceCode = getSourceCode(context);
+
+		function isCheckedFunction(node) {
+			return options.exportedOnly !== true || isExportedValue(node);
+		}
+
+		function checkFunctionLike(node) {
+			if (hasImposedSignature(node) || !isCheckedFunction(node)) {
 				return;
 			}
 
-			// We only care about the "wrapper if" shape: a single if with no alternate.
-			if (onlyStatement.alternate != null) {
-				return;
-			}
+			for (const param of getReportedFlags(
+				node.params ?? [],
+				isBooleanFlagParam,
+				allowTrailingFlag,
+			)) {
+				context.report({
+					node: param,
+					messageId: "booleanFlagParam",
+					data: { name: getParamName(param) },
+				});
+			}
+		}
+
+		return {
+			FunctionDeclaration: checkFunctionLike,
+			FunctionExpression: checkFunctionLike,
+			ArrowFunctionExpression: checkFunctionLike,
+			CallExpression(node) {
+				const args = node.arguments ?? [];
+				if (!args.some(isBooleanLiteral)) return;
+
+				const fn = findCalledLocalFunction(node, getFileIndex(sourceCode));
+				if (!fn || !isCheckedFunction(fn)) return;
+
+				for (const arg of getReportedFlags(args, isBooleanLiteral, allowTrailingFlag)) {
+					context.report({
+						node: arg,
+						messageId: "booleanFlagArgument",
+						data: { name: node.callee.name },
+					});
+				}
+			},
+		};
+	},
+};
+
+/**
+ * The catch clause or rejection handler whose caught error is in scope at
+ * `node`, stopping at the nearest function that is not a rejection handler.
+ */
+function findCaughtErrorOwner(node) {
+	for (let current = node.parent; current; current = current.parent) {
+		if (current.type === "CatchClause") return { owner: current, param: current.param };
+		if (!FUNCTION_NODE_TYPES.has(current.type)) continue;
+
+		const call = current.parent;
+		if (call?.type !== "CallExpression" || getRejectionHandler(call) !== current) return null;
+		return { owner: current, param: current.params[0] };
+	}
+	return null;
+}
+
+// `Error`, `TypeError`, `errors.HttpError`, or a configured positional-cause constructor.
+function isErrorConstructorName(name, causeArguments) {
+	if (!name) return false;
+	if (Object.hasOwn(causeArguments, name)) return true;
+	return name.endsWith("Error");
+}
+
+function hasCauseProperty(objectExpression) {
+	return objectExpression.properties.some((property) => {
+		if (property.type !== "Property" || property.computed) return false;
+		return (property.key?.name ?? property.key?.value) === "cause";
+	});
+}
+
+/**
+ * Build the suggestion fix that passes `errorName` as the cause of
+ * `newExpression`: at `causePosition` for positional constructors, otherwise
+ * as `{ cause }` in the options argument. Returns null when the arguments do
+ * not have a shape the fix can extend.
+ */
+function buildErrorCauseFix(newExpression, errorName, causePosition) {
+	const args = newExpression.arguments ?? [];
+	if (args.some((arg) => arg.type === "SpreadElement")) return null;
+
+	if (causePosition != null) {
+		if (args.length < causePosition) return null;
+		if (args.length > causePosition) {
+			return (fixer) => fixer.insertTextBefore(args[causePosition], `${errorName}, `);
+		}
+		if (args.length > 0) return (fixer) => fixer.insertTextAfter(args.at(-1), `, ${errorName}`);
+
+		const end = getNodeRange(newExpression)[1];
+		return (fixer) => fixer.insertTextBeforeRange([end - 1, end], errorName);
+	}
 
-			// Allow actual guard clauses / early exits, e.g.:
-			// if (!user) return;
-			if (
-				isEarlyExitStatement(onlyStatement.consequent) &&
-				isNegatedCondition(onlyStatement.test)
-			) {
-				return;
-			}
+	if (args.length === 1) {
+		return (fixer) => fixer.insertTextAfter(args[0], `, { cause: ${errorName} }`);
+	}
 
-			context.report({ node: onlyStatement, messageId: "requireGuardClause" });
-		}
+	const errorOptions = args[1];
+	if (args.length !== 2 || errorOptions.type !== "ObjectExpression") return null;
+	if (hasCauseProperty(errorOptions)) return null;
 
-		return {
-			FunctionDeclaration: checkFunctionLike,
-			FunctionExpression: checkFunctionLike,
-			ArrowFunctionExpression: checkFunctionLike,
-		};
-	},
-};
+	const lastProperty = errorOptions.properties.at(-1);
+	if (lastProperty) {
+		return (fixer) => fixer.insertTextAfter(lastProperty, `, cause: ${errorName}`);
+	}
+	return (fixer) => fixer.replaceText(errorOptions, `{ cause: ${errorName} }`);
+}
 
 /** @type {import('eslint').Rule.RuleModule} */
-const noSwallowedCatchRule = {
+const noCatchRethrowWithoutCauseRule = {
 	meta: {
 		type: "problem",
 		docs: {
-			description: "Forbid empty or comment-only catch blocks that swallow errors.",
+			description:
+				"Require errors thrown from catch blocks and rejection handlers to keep the caught error as their cause.",
 			recommended: false,
 		},
-		schema: [],
+		hasSuggestions: true,
+		schema: [
+			{
+				type: "object",
+				properties: {
+					causeArguments: {
+						type: "object",
+						additionalProperties: { type: "integer", minimum: 0 },
+					},
+				},
+				additionalProperties: false,
+			},
+		],
 		messages: {
-			noSwallowedCatch: NO_SWALLOWED_CATCH_MESSAGE,
+			rethrowWithoutCause: RETHROW_WITHOUT_CAUSE_MESSAGE,
+			addErrorCause: ADD_ERROR_CAUSE_MESSAGE,
 		},
 	},
 	create(context) {
+		const options = context.options?.[0] ?? {};
+		const causeArguments = options.causeArguments ?? {};
 		const sourceCode = getSourceCode(context);
 
 		return {
-			CatchClause(node) {
-				const body = node.body;
-				if (!body || body.type !== "BlockStatement") {
+			ThrowStatement(node) {
+				const error = unwrapExpression(node.argument);
+				if (error?.type !== "NewExpression") {
+					return;
+				}
+
+				const constructorName = getCalleeName(error.callee);
+				if (!isErrorConstructorName(constructorName, causeArguments)) {
+					return;
+				}
+
+				const caught = findCaughtErrorOwner(node);
+				if (!caught) {
 					return;
 				}
 
-				const isStructurallyEmpty = body.body.length === 0;
-				if (!isStructurallyEmpty && !blockHasOnlyComments(body, sourceCode)) {
+				// `catch ({ message })` keeps no binding that could be passed on.
+				const param = caught.param;
+				if (param && param.type !== "Identifier") {
+					return;
+				}
+				if (param && isNameReferenced(error, param.name, sourceCode)) {
 					return;
 				}
 
-				context.report({ node: body, messageId: "noSwallowedCatch" });
+				const fix = param
+					? buildErrorCauseFix(error, param.name, causeArguments[constructorName])
+					: null;
+				context.report({
+					node: error,
+					messageId: "rethrowWithoutCause",
+					suggest: fix ? [{ messageId: "addErrorCause", data: { name: param.name }, fix }] : [],
+				});
 			},
 		};
 	},
 };
 
+/**
+ * `null`, `undefined`, `[]`, `{}`, `""` and `false`, the values that stand in
+ * for a result that could not be produced.
+ */
+function isEmptyFallbackLiteral(node) {
+	if (isMissingValueLiteral(node)) return true;
+	if (node?.type === "ArrayExpression") return node.elements.length === 0;
+	if (node?.type === "ObjectExpression") return node.properties.length === 0;
+	if (node?.type === "TemplateLiteral") {
+		return node.expressions.length === 0 && node.quasis[0]?.value?.cooked === "";
+	}
+	return node?.type === "Literal" && (node.value === "" || node.value === false);
+}
+
+/**
+ * The empty value that `return` falls back to: the argument itself, or the
+ * right side of `data ?? []` / `data || {}`. Null when it returns anything
+ * else, including a bare `return;`, which returns no value at all.
+ */
+function getFallbackReturnValue(statement) {
+	if (statement?.type !== "ReturnStatement") return null;
+
+	const argument = unwrapExpression(statement.argument);
+	if (argument == null) return null;
+	if (isEmptyFallbackLiteral(argument)) return argument;
+
+	const isFallbackOperator = argument.operator === "??" || argument.operator === "||";
+	if (argument.type !== "LogicalExpression" || !isFallbackOperator) return null;
+	return isEmptyFallbackLiteral(unwrapExpression(argument.right)) ? argument.right : null;
+}
+
+function getOnlyStatement(node) {
+	if (node?.type !== "BlockStatement") return node;
+	return node.body.length === 1 ? node.body[0] : null;
+}
+
+// The name a function is called by: its own id, or the variable, property or method holding it.
+function getFunctionName(fn) {
+	if (fn.id?.name) return fn.id.name;
+
+	const parent = fn.parent;
+	if (parent?.type === "VariableDeclarator") return parent.id?.name ?? null;
+	if (parent?.type === "MethodDefinition" || parent?.type === "Property") {
+		return parent.computed ? null : (parent.key?.name ?? parent.key?.value ?? null);
+	}
+	return null;
+}
+
+function findEnclosingFunction(node) {
+	for (let current = node.parent; current; current = current.parent) {
+		if (FUNCTION_NODE_TYPES.has(current.type)) return current;
+	}
+	return null;
+}
+
 /** @type {import('eslint').Rule.RuleModule} */
-const exportsLastExceptTypesRule = {
+const noSilentFallbackReturnsRule = {
 	meta: {
-		type: "layout",
+		type: "problem",
 		docs: {
 			description:
-				"Require value exports at the bottom of the file, but allow type-only exports anywhere.",
+				"Disallow catch blocks and failure guards that only return an empty fallback value.",
 			recommended: false,
 		},
 		schema: [
 			{
 				type: "object",
 				properties: {
-					allowReExport: { type: "boolean" },
+					allowFunctionNames: { type: "array", items: { type: "string" } },
+					failurePattern: { type: "string" },
 				},
 				additionalProperties: false,
 			},
 		],
 		messages: {
-			exportsLast: EXPORTS_LAST_EXCEPT_TYPES_MESSAGE,
-			noExportSpecifiers: NO_EXPORT_SPECIFIERS_MESSAGE,
-			noExportAlias: NO_EXPORT_ALIAS_MESSAGE,
-			noDefaultExportIdentifier: NO_DEFAULT_EXPORT_IDENTIFIER_MESSAGE,
+			silentCatchFallback: SILENT_CATCH_FALLBACK_MESSAGE,
+			silentGuardFallback: SILENT_GUARD_FALLBACK_MESSAGE,
 		},
 	},
 	create(context) {
 		const options = context.options?.[0] ?? {};
 		const sourceCode = getSourceCode(context);
+		const allowedNamePatterns = (options.allowFunctionNames ?? []).map(
+			(pattern) => new RegExp(pattern, "u"),
+		);
+		const failurePattern = new RegExp(options.failurePattern ?? DEFAULT_FAILURE_PATTERN, "u");
+
+		// Functions such as `tryParse` or `findOrNull` document the fallback as their contract.
+		function isAllowedFallback(node) {
+			const fn = findEnclosingFunction(node);
+			const name = fn ? getFunctionName(fn) : null;
+			if (!name) return false;
+			return allowedNamePatterns.some((pattern) => pattern.test(name));
+		}
 
-		return {
-			Program(program) {
-				const body = program.body ?? [];
-				if (body.length === 0) return;
-
-				// Forbid default exports that just reference an identifier.
-				for (const node of body) {
-					if (!isDefaultIdentifierExport(node)) continue;
-					if (isAllowedDefaultIdentifierExport(node, program, sourceCode)) continue;
+		function isFailureTest(test) {
+			return containsNode(test, getVisitorKeys(sourceCode), (node) => {
+				if (node.type === "Identifier") return failurePattern.test(node.name);
+				return node.type === "MemberExpression" && failurePattern.test(getMemberPropertyName(node));
+			});
+		}
 
-					context.report({
-						node,
-						messageId: "noDefaultExportIdentifier",
-					});
-				}
+		function reportFallback(node, value, messageId) {
+			if (isAllowedFallback(node)) {
+				return;
+			}
 
-				// First, forbid local export lists like `export { foo }`.
-				for (const node of body) {
-					if (!isLocalNamedExportList(node)) continue;
-					if (isTypeOnlyExport(node)) continue;
+			context.report({
+				node,
+				messageId,
+				data: { value: sliceSource(sourceCode, getNodeRange(value)) },
+			});
+		}
 
-					context.report({
-						node,
-						messageId: "noExportSpecifiers",
-					});
+		return {
+			CatchClause(node) {
+				const value = getFallbackReturnValue(getOnlyStatement(node.body));
+				if (!value) {
+					return;
 				}
 
-				// Next, forbid alias exports like `export const x = y`.
-				for (const node of body) {
-					if (!isLocalAliasExport(node)) continue;
-
-					context.report({
-						node,
-						messageId: "noExportAlias",
-					});
+				reportFallback(node, value, "silentCatchFallback");
+			},
+			IfStatement(node) {
+				if (node.alternate) {
+					return;
 				}
 
-				// Find the last non-export top-level statement.
-				let lastNonExportIndex = -1;
-				for (let i = body.length - 1; i >= 0; i -= 1) {
-					const node = body[i];
-					if (!isExportNode(node)) {
-						lastNonExportIndex = i;
-						break;
-					}
+				const value = getFallbackReturnValue(getOnlyStatement(node.consequent));
+				if (!value || !isFailureTest(node.test)) {
+					return;
 				}
 
-				// If everything is exports, there is nothing to enforce.
-				if (lastNonExportIndex === -1) return;
-
-				// Any non-exempt export before that index is a violation.
-				for (let i = 0; i < lastNonExportIndex; i += 1) {
-					const node = body[i];
-					if (!isExportNode(node)) continue;
-					if (isLocalNamedExportList(node) && !isTypeOnlyExport(node)) continue;
-					if (isLocalAliasExport(node)) continue;
-					if (isExemptExport(node, options)) continue;
-
-					context.report({
-						node,
-						messageId: "exportsLast",
-					});
-				}
+				reportFallback(node, value, "silentGuardFallback");
 			},
 		};
 	},
 };
 
+function isCallbackFunction(node) {
+	const parent = node.parent;
+	if (parent?.type !== "CallExpression" && parent?.type !== "NewExpression") return false;
+	return parent.arguments.includes(node);
+}
+
+/**
+ * Whether `child` (a child of `parent`) opens a new nesting level. Guard
+ * clauses and `else if` stay on the level they sit on, so adding a guard
+ * never makes a function deeper.
+ */
+function isNestingLevel(parent, child, terminatingCalls) {
+	if (FUNCTION_NODE_TYPES.has(child.type)) return true;
+	if (LOOP_NODE_TYPES.has(child.type) || child.type === "TryStatement") return true;
+	if (child.type !== "IfStatement") return false;
+
+	if (parent.type === "IfStatement" && parent.alternate === child) return false;
+	// Only a short exit-only body makes a guard; a block that merely ends in an exit still nests.
+	return child.alternate != null || !isGuardBody(child.consequent, terminatingCalls);
+}
+
+/**
+ * Find the most deeply nested control-flow node under `node`. Callbacks are
+ * part of the function they are passed from; other nested functions are
+ * measured on their own.
+ */
+function findDeepestNesting(node, visitorKeys, depth, terminatingCalls) {
+	let deepest = { node: null, depth };
+
+	for (const child of getChildNodes(node, visitorKeys)) {
+		if (FUNCTION_NODE_TYPES.has(child.type) && !isCallbackFunction(child)) continue;
+
+		const childDepth = isNestingLevel(node, child, terminatingCalls) ? depth + 1 : depth;
+		if (childDepth > deepest.depth) deepest = { node: child, depth: childDepth };
+
+		const nested = findDeepestNesting(child, visitorKeys, childDepth, terminatingCalls);
+		if (nested.depth > deepest.depth) deepest = nested;
+	}
+
+	return deepest;
+}
+
 /** @type {import('eslint').Rule.RuleModule} */
-const noEmptyWrappersRule = {
+const maxFunctionExitComplexityRule = {
 	meta: {
 		type: "suggestion",
 		docs: {
 			description:
-				"Disallow exported empty wrapper functions that only pass through to another call.",
+				"Limit how deeply control flow (if, loops, try, callbacks) nests inside a function.",
 			recommended: false,
 		},
-		schema: [],
+		schema: [
+			{
+				type: "object",
+				properties: {
+					max: { type: "integer", minimum: 1 },
+					terminatingCalls: { type: "array", items: { type: "string" } },
+				},
+				additionalProperties: false,
+			},
+		],
 		messages: {
-			noEmptyWrapper: NO_EMPTY_WRAPPERS_MESSAGE,
+			maxExitComplexity: MAX_EXIT_COMPLEXITY_MESSAGE,
 		},
 	},
 	create(context) {
-		function checkFunctionLike(node) {
-			if (!isExportedFunction(node)) {
-				return;
-			}
-
-			const body = node.body;
-			if (!body || body.type !== "BlockStatement") {
-				return;
-			}
-
-			const statements = body.body ?? [];
-			if (statements.length !== 1) {
-				return;
-			}
+		const options = context.options?.[0] ?? {};
+		const sourceCode = getSourceCode(context);
+		const max = options.max ?? 3;
+		const terminatingCalls = new Set([
+			...(options.terminatingCalls ?? DEFAULT_TERMINATING_CALLS),
+			...getFileIndex(sourceCode).neverReturningNames,
+		]);
 
-			const callExpression = getCallExpressionFromStatement(statements[0]);
-			if (!callExpression) {
+		function checkFunctionLike(node) {
+			// Callbacks are measured as part of the function that passes them.
+			if (isCallbackFunction(node)) {
 				return;
 			}
 
-			if (!isPassThroughWrapper(node, callExpression)) {
+			const deepest = findDeepestNesting(
+				node.body,
+				getVisitorKeys(sourceCode),
+				0,
+				terminatingCalls,
+			);
+			if (deepest.depth <= max) {
 				return;
 			}
 
 			context.report({
-				node,
-				messageId: "noEmptyWrapper",
+				node: deepest.node,
+				messageId: "maxExitComplexity",
+				data: { depth: deepest.depth, max },
 			});
 		}
 
@@ -887,16 +2730,284 @@ const noEmptyWrappersRule = {
 	},
 };
 
-export default {
+// Where statements after an `if` run whenever it does not exit.
+function isInStatementList(node) {
+	const parent = node.parent;
+	const statements = parent?.type === "SwitchCase" ? parent.consequent : parent?.body;
+	return Array.isArray(statements) && statements.includes(node);
+}
+
+function getElseChainRoot(ifStatement) {
+	let root = ifStatement;
+	while (root.parent?.type === "IfStatement" && root.parent.alternate === root) {
+		root = root.parent;
+	}
+	return root;
+}
+
+function getIndentUnit(root, sourceCode, indent) {
+	const first = root.consequent.body?.[0];
+	const bodyIndent = first ? getLineIndent(sourceCode, getNodeRange(first)[0]).indent : "";
+	if (bodyIndent.trim().length === 0 && bodyIndent.length > indent.length) {
+		return bodyIndent.slice(indent.length);
+	}
+	return indent.includes(" ") ? "  " : "\t";
+}
+
+// Add one indentation unit to every line of `text` (which starts at `offset`) after the first.
+function indentLines(text, offset, unit, templateRanges) {
+	let lineOffset = offset;
+	return text
+		.split("\n")
+		.map((line, index) => {
+			const lineStart = lineOffset;
+			lineOffset += line.length + 1;
+
+			if (index === 0 || line.trim().length === 0) return line;
+			const insideTemplate = templateRanges.some(
+				(range) => lineStart > range[0] && lineStart < range[1],
+			);
+			return insideTemplate ? line : `${unit}${line}`;
+		})
+		.join("\n");
+}
+
+// The source of `range`, kept verbatim by the rewrite and indented for the function body when extracting.
+function keepRange(flat, range) {
+	flat.keptRanges.push(range);
+	const text = sliceSource(flat.sourceCode, range);
+	if (!flat.unit) return text;
+	return indentLines(text, range[0], flat.unit, flat.templateRanges);
+}
+
+/**
+ * The text of the branch `ifStatement` with a `return;` after its last
+ * statement, or null when its layout is not one we can extend faithfully.
+ */
+function getReturningBranch(ifStatement, flat) {
+	const consequent = ifStatement.consequent;
+	const start = getNodeRange(ifStatement)[0];
+	const [consequentStart, consequentEnd] = getNodeRange(consequent);
+	const isSingleLine = !sliceSource(flat.sourceCode, [start, consequentEnd]).includes("\n");
+
+	if (consequent.type !== "BlockStatement") {
+		if (!isSingleLine) return null;
+		const header = keepRange(flat, [start, consequentStart]);
+		return `${header}{ ${keepRange(flat, [consequentStart, consequentEnd])} return; }`;
+	}
+
+	const last = consequent.body.at(-1);
+	if (!last) return `${keepRange(flat, [start, consequentStart])}{ return; }`;
+
+	const closingBrace = consequentEnd - 1;
+	if (isSingleLine) return `${keepRange(flat, [start, closingBrace]).trimEnd()} return; }`;
+
+	// The `return;` goes on its own line above `}`, indented like the last statement.
+	const { lineStart, indent } = getLineIndent(flat.sourceCode, closingBrace);
+	const bodyIndent = getLineIndent(flat.sourceCode, getNodeRange(last)[0]).indent;
+	if (indent.trim().length > 0 || bodyIndent.trim().length > 0) return null;
+
+	const body = keepRange(flat, [start, lineStart]);
+	return `${body}${flat.unit}${bodyIndent}return;\n${flat.unit}${indent}}`;
+}
+
+function hoistElseBody(alternate, flat) {
+	const sourceCode = flat.sourceCode;
+	const isSingleLine = !sliceSource(sourceCode, getNodeRange(alternate)).includes("\n");
+	const bodyRange = getHoistedBodyRange(alternate, sourceCode, isSingleLine);
+	if (!bodyRange) return false;
+
+	flat.hoisted = alternate;
+	flat.keptRanges.push(bodyRange);
+	const bodyText = sliceSource(sourceCode, bodyRange).trimEnd();
+	if (bodyText.trim().length === 0) return true;
+
+	// Inside an extracted function, the body already sits one level deeper than the chain.
+	if (isSingleLine || flat.unit) {
+		flat.parts.push(bodyText.trimStart());
+		return true;
+	}
+
+	const dedented = dedentLines(bodyText, bodyRange[0], flat.indent, flat.templateRanges);
+	if (dedented == null) return false;
+	flat.parts.push(dedented.trimStart());
+	return true;
+}
+
+/**
+ * Flatten the if/else chain from `ifStatement` into `flat.parts`, one
+ * statement each: a branch that exits loses its `else`, and the body of the
+ * last `else` is hoisted. A branch that does not exit keeps the rest of the
+ * chain as it is, unless `flat.unit` is set for an extracted function, where
+ * it gets a `return;` instead. Returns false when the chain cannot be rewritten.
+ */
+function flattenElseChain(ifStatement, flat) {
+	const consequent = ifStatement.consequent;
+	const exits = isEarlyExitStatement(consequent);
+	if (!exits && !flat.unit) {
+		flat.parts.push(keepRange(flat, getNodeRange(ifStatement)));
+		return true;
+	}
+
+	const branch = exits
+		? keepRange(flat, [getNodeRange(ifStatement)[0], getNodeRange(consequent)[1]])
+		: getReturningBranch(ifStatement, flat);
+	if (branch == null) return false;
+	flat.parts.push(branch);
+
+	const alternate = ifStatement.alternate;
+	if (!alternate) return true;
+	if (alternate.type === "IfStatement") return flattenElseChain(alternate, flat);
+	return hoistElseBody(alternate, flat);
+}
+
+/**
+ * Flatten the chain starting at `root`, indenting it by `unit` for the body
+ * of an extracted function (`""` to flatten it in place). Returns null when
+ * the chain cannot be rewritten without losing comments or layout.
+ */
+function flattenChainAt(root, sourceCode, unit) {
+	if (typeof sourceCode?.getCommentsInside !== "function") return null;
+	if (!isInStatementList(root)) return null;
+
+	const { indent } = getLineIndent(sourceCode, getNodeRange(root)[0]);
+	if (indent.trim().length > 0) return null;
+
+	const flat = { sourceCode, indent, unit, parts: [], keptRanges: [], templateRanges: [] };
+	collectMultilineTemplateRanges(root, sourceCode, flat.templateRanges);
+	if (!flattenElseChain(root, flat)) return null;
+	if (!areCommentsKept(root, flat.keptRanges, sourceCode)) return null;
+	return flat;
+}
+
+function buildElseFix(root, sourceCode) {
+	const flat = flattenChainAt(root, sourceCode, "");
+	if (!flat) return null;
+
+	// Case clauses of a switch share one scope, so declarations do not move there.
+	const container = root.parent;
+	if (flat.hoisted?.body?.length > 0 && container.type === "SwitchCase") return null;
+	const declaredNames = collectStatementListNames(container);
+	if (hasHoistingConflict(flat.hoisted, container, declaredNames, sourceCode)) return null;
+
+	const text = flat.parts.join(`\n${flat.indent}`);
+	return (fixer) => fixer.replaceTextRange(getNodeRange(root), text);
+}
+
+// Code whose meaning changes once it moves into a function of its own.
+function isFunctionBoundSyntax(node) {
+	if (node.type === "VariableDeclaration") return node.kind === "var";
+	return (
+		node.type === "ReturnStatement" ||
+		node.type === "BreakStatement" ||
+		node.type === "ContinueStatement" ||
+		node.type === "YieldExpression"
+	);
+}
+
+function isAwaitSyntax(node) {
+	return node.type === "AwaitExpression" || (node.type === "ForOfStatement" && node.await);
+}
+
+function getUnusedName(sourceCode, base) {
+	let name = base;
+	for (let suffix = 2; sourceCode.text.includes(name); suffix += 1) {
+		name = `${base}${suffix}`;
+	}
+	return name;
+}
+
+/**
+ * Replace the chain at `root` with a local arrow function holding the
+ * flattened chain, where every branch returns early, followed by a call to it.
+ */
+function buildExtractFunctionFix(root, sourceCode) {
+	const visitorKeys = getVisitorKeys(sourceCode);
+	if (containsNode(root, visitorKeys, isFunctionBoundSyntax)) return null;
+
+	const rootIndent = getLineIndent(sourceCode, getNodeRange(root)[0]).indent;
+	const unit = getIndentUnit(root, sourceCode, rootIndent);
+	const flat = flattenChainAt(root, sourceCode, unit);
+	if (!flat) return null;
+	if (hasHoistingConflict(flat.hoisted, root, new Set(), sourceCode)) return null;
+
+	const name = getUnusedName(sourceCode, "runBranches");
+	const isAsync = containsNode(root, visitorKeys, isAwaitSyntax);
+	const { indent } = flat;
+	const text = [
+		`const ${name} = ${isAsync ? "async " : ""}() => {`,
+		`${indent}${unit}${flat.parts.join(`\n${indent}${unit}`)}`,
+		`${indent}};`,
+		`${indent}${isAsync ? "await " : ""}${name}();`,
+	].join("\n");
+	return (fixer) => fixer.replaceTextRange(getNodeRange(root), text);
+}
+
+/**
+ * The fix or suggestion for the `else` branch `alternate`. When the branch
+ * before it exits, the `else` can go; the fix flattens the whole chain, so
+ * only its first `if` carries it. Otherwise the chain can only lose its
+ * `else` inside a function of its own.
+ */
+function getElseFixes(alternate, sourceCode) {
+	const ifStatement = alternate.parent;
+	const root = getElseChainRoot(ifStatement);
+	if (isEarlyExitStatement(ifStatement.consequent)) {
+		return ifStatement === root ? { fix: buildElseFix(root, sourceCode) } : {};
+	}
+
+	const fix = buildExtractFunctionFix(root, sourceCode);
+	return { suggest: fix ? [{ messageId: "extractElseFunction", fix }] : null };
+}
+
+const noBranchingElseRule = noBranchingPlugin.rules["no-else"];
+
+/**
+ * `no-else` from `oxlint-plugin-no-branching`, which reports every `else`,
+ * with fixes added to its reports.
+ * @type {import('eslint').Rule.RuleModule}
+ */
+const noElseRule = {
+	meta: {
+		...noBranchingElseRule.meta,
+		fixable: "code",
+		hasSuggestions: true,
+		messages: {
+			...noBranchingElseRule.meta.messages,
+			extractElseFunction: EXTRACT_ELSE_FUNCTION_MESSAGE,
+		},
+	},
+	create(context) {
+		const sourceCode = getSourceCode(context);
+
+		function report(descriptor) {
+			context.report({ ...descriptor, ...getElseFixes(descriptor.node, sourceCode) });
+		}
+
+		return noBranchingElseRule.create(withReport(context, report));
+	},
+};
+
+const plugin = {
 	meta: {
 		name: "inhuman",
 	},
-	rules: {
+	rules: applyBaseline("inhuman", {
 		"require-guard-clauses": requireGuardClausesRule,
 		"no-swallowed-catch": noSwallowedCatchRule,
 		"export-code-last": exportsLastExceptTypesRule,
 		"no-empty-wrappers": noEmptyWrappersRule,
+		"no-nested-ternary-chains": noNestedTernaryChainsRule,
+		"no-boolean-flag-params": noBooleanFlagParamsRule,
+		"no-catch-rethrow-without-cause": noCatchRethrowWithoutCauseRule,
+		"no-silent-fallback-returns": noSilentFallbackReturnsRule,
+		"max-function-exit-complexity": maxFunctionExitComplexityRule,
 		"no-switch": noBranchingPlugin.rules["no-switch"],
-		"no-else": noBranchingPlugin.rules["no-else"],
-	},
+		"no-else": noElseRule,
+	}),
 };
+
+// ESLint flat configs reference the plugin object, so they are added once it exists.
+plugin.configs = { ...configs, ...createFlatConfigs(plugin) };
+
+export default plugin;
@@ -0,0 +1,90 @@
+/**
+ * Shareable presets for `.oxlintrc.json`, and flat configs for ESLint.
+ *
+ * Oxlint only runs JS plugin rules that are enabled by name, so consumers
+ * merge a preset into their config instead of copying the rule list. Each
+ * preset builds on the previous one: `strict` tightens `recommended`, and
+ * `ai` tightens `strict` for code written by coding agents.
+ */
+
+const PLUGIN_PACKAGE = "oxlint-plugin-inhuman";
+
+const RECOMMENDED_RULES = {
+	"inhuman/require-guard-clauses": "error",
+	"inhuman/no-swallowed-catch": "error",
+	"inhuman/export-code-last": "error",
+	"inhuman/no-empty-wrappers": "error",
+	"inhuman/no-nested-ternary-chains": "error",
+	"inhuman/no-boolean-flag-params": ["warn", { allowTrailingFlag: true, exportedOnly: true }],
+	"inhuman/no-catch-rethrow-without-cause": "error",
+	"inhuman/no-silent-fallback-returns": "warn",
+	"inhuman/max-function-exit-complexity": ["warn", { max: 4 }],
+	"inhuman/no-switch": "error",
+	"inhuman/no-else": "error",
+};
+
+const STRICT_RULES = {
+	...RECOMMENDED_RULES,
+	"inhuman/require-guard-clauses": [
+		"error",
+		{ allowTrailingStatements: true, maxNestingDepth: 2, checkLoops: true },
+	],
+	"inhuman/no-swallowed-catch": ["error", { reportUnusedBinding: true }],
+	"inhuman/no-boolean-flag-params": ["error", { allowTrailingFlag: true }],
+	"inhuman/no-silent-fallback-returns": "error",
+	"inhuman/max-function-exit-complexity": ["error", { max: 3 }],
+};
+
+// Coding agents swallow errors and nest deeply far more often than people do, so the limits are tighter.
+const AI_RULES = {
+	...STRICT_RULES,
+	"inhuman/no-swallowed-catch": [
+		"error",
+		{ reportUnusedBinding: true, reportOptionalCatchBinding: true },
+	],
+	"inhuman/export-code-last": ["error", { allowDeclare: false }],
+	"inhuman/no-boolean-flag-params": "error",
+	"inhuman/max-function-exit-complexity": ["error", { max: 2 }],
+};
+
+function createPreset(rules) {
+	return { jsPlugins: [PLUGIN_PACKAGE], rules };
+}
+
+/**
+ * Merge `preset` into an `.oxlintrc.json`-shaped `config` and return the new
+ * config. The plugin is added to `jsPlugins` once, and rules already set in
+ * `config` win over the preset, so local choices survive a plugin upgrade.
+ */
+export function mergePreset(config, preset) {
+	const jsPlugins = [...(config.jsPlugins ?? [])];
+	for (const plugin of preset.jsPlugins) {
+		if (!jsPlugins.includes(plugin)) jsPlugins.push(plugin);
+	}
+
+	return {
+		...config,
+		jsPlugins,
+		rules: { ...preset.rules, ...config.rules },
+	};
+}
+
+/**
+ * ESLint flat configs for `plugin`. Unlike oxlint presets, a flat config
+ * carries the plugin object itself, so they are built once the plugin exists.
+ */
+export function createFlatConfigs(plugin) {
+	return {
+		"flat/recommended": {
+			name: "inhuman/flat/recommended",
+			plugins: { inhuman: plugin },
+			rules: RECOMMENDED_RULES,
+		},
+	};
+}
+
+export const configs = {
+	recommended: createPreset(RECOMMENDED_RULES),
+	strict: createPreset(STRICT_RULES),
+	ai: createPreset(AI_RULES),
+};
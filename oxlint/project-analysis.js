@@ -0,0 +1,235 @@
+/**
+ * Offline cross-file analysis for the inhuman rules.
+ *
+ * Every source file under a directory is reduced to a summary of its import
+ * and export declarations. Summaries are cached by content hash, so unchanged
+ * files are not parsed again. The summaries are linked into a module graph
+ * and written as the project report that `getProjectFile` reads.
+ */
+
+import { createHash } from "node:crypto";
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from "node:fs";
+import path from "node:path";
+import { PROJECT_REPORT_VERSION } from "./project-report.js";
+
+const SOURCE_EXTENSIONS = [".ts", ".tsx", ".mts", ".cts", ".js", ".jsx", ".mjs", ".cjs"];
+
+const IGNORED_DIRECTORIES = new Set(["node_modules", "dist", "build", "coverage"]);
+
+function isSourceFile(name) {
+	if (/\.d\.[cm]?ts$/u.test(name)) return false;
+	return SOURCE_EXTENSIONS.includes(path.extname(name));
+}
+
+function collectSourceFiles(rootDir, relativeDir, files) {
+	for (const entry of readdirSync(path.join(rootDir, relativeDir), { withFileTypes: true })) {
+		const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+		if (entry.isDirectory()) {
+			const isIgnored = IGNORED_DIRECTORIES.has(entry.name) || entry.name.startsWith(".");
+			if (!isIgnored) collectSourceFiles(rootDir, relativePath, files);
+			continue;
+		}
+
+		if (entry.isFile() && isSourceFile(entry.name)) files.push(relativePath);
+	}
+	return files;
+}
+
+// Namespace imports and `export * as ns` include the default export; `export *` does not.
+function includesDefaultExport(importName) {
+	if (importName.kind === "Name") return importName.name === "default";
+	return importName.kind !== "AllButDefault";
+}
+
+// Dynamic imports are only followed when their specifier is a plain string.
+function readDynamicSpecifier(sourceText, moduleRequest) {
+	const text = sourceText.slice(moduleRequest.start, moduleRequest.end);
+	const match = /^(["'`])([^"'`$]*)\1$/u.exec(text);
+	return match ? match[2] : null;
+}
+
+function isModuleLinkStatement(statement) {
+	if (statement.type === "ImportDeclaration" || statement.type === "ExportAllDeclaration") {
+		return true;
+	}
+	return statement.type === "ExportNamedDeclaration" && statement.source != null;
+}
+
+/**
+ * Reduce a module to what the project report needs: the specifiers of its
+ * value imports and re-exports (and whether they reach the default export),
+ * dynamic imports, and whether it has code besides import/export-from
+ * statements.
+ */
+function summarizeModule(filename, sourceText, parseSync) {
+	const { module, program } = parseSync(filename, sourceText);
+
+	const imports = module.staticImports.map((staticImport) => ({
+		specifier: staticImport.moduleRequest.value,
+		usesDefault: staticImport.entries.some((entry) => {
+			return !entry.isType && includesDefaultExport(entry.importName);
+		}),
+	}));
+
+	const reExports = module.staticExports
+		.flatMap((staticExport) => staticExport.entries)
+		.filter((entry) => entry.moduleRequest && !entry.isType)
+		.map((entry) => ({
+			specifier: entry.moduleRequest.value,
+			usesDefault: includesDefaultExport(entry.importName),
+		}));
+
+	const dynamicImports = module.dynamicImports
+		.map((dynamicImport) => readDynamicSpecifier(sourceText, dynamicImport.moduleRequest))
+		.filter((specifier) => specifier != null);
+
+	return {
+		imports,
+		reExports,
+		dynamicImports,
+		hasLocalCode: program.body.some((statement) => !isModuleLinkStatement(statement)),
+	};
+}
+
+function hashSource(relativePath, sourceText) {
+	// The extension decides how the file is parsed, so it is part of the key.
+	return createHash("sha256")
+		.update(path.extname(relativePath))
+		.update("\0")
+		.update(sourceText)
+		.digest("hex");
+}
+
+function readSummaryCache(cachePath) {
+	if (!existsSync(cachePath)) return new Map();
+
+	const cache = JSON.parse(readFileSync(cachePath, "utf8"));
+	if (cache.version !== PROJECT_REPORT_VERSION) return new Map();
+	return new Map(Object.entries(cache.summaries ?? {}));
+}
+
+function writeJson(filePath, value) {
+	mkdirSync(path.dirname(filePath), { recursive: true });
+	writeFileSync(filePath, `${JSON.stringify(value, null, "\t")}\n`);
+}
+
+/**
+ * Resolve a relative specifier to a project file, trying TypeScript sources
+ * for `.js` specifiers, missing extensions, and directory `index` files.
+ * Package and aliased specifiers resolve to null.
+ */
+function resolveSpecifier(fromFile, specifier, fileSet) {
+	if (!/^\.\.?(\/|$)/u.test(specifier)) return null;
+
+	const base = path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), specifier));
+	if (base.startsWith("../")) return null;
+
+	const stem = base.replace(/\.[cm]?jsx?$/u, "");
+	const candidates = [
+		base,
+		...SOURCE_EXTENSIONS.map((extension) => `${stem}${extension}`),
+		...SOURCE_EXTENSIONS.map((extension) => `${base}/index${extension}`),
+	];
+	return candidates.find((candidate) => fileSet.has(candidate)) ?? null;
+}
+
+// Every module `summary` depends on, and whether that use can reach its default export.
+function getModuleUses(summary) {
+	return [
+		...summary.imports,
+		...summary.reExports,
+		...summary.dynamicImports.map((specifier) => ({ specifier, usesDefault: true })),
+	];
+}
+
+function addToSetMap(map, key, value) {
+	const set = map.get(key) ?? new Set();
+	set.add(value);
+	map.set(key, set);
+}
+
+// The single project module that a module made only of re-exports forwards to.
+function getReExportTarget(summary, resolvedImports) {
+	if (summary.hasLocalCode || summary.imports.length > 0 || summary.reExports.length === 0) {
+		return null;
+	}
+
+	const targets = new Set(summary.reExports.map((item) => resolvedImports[item.specifier]));
+	if (targets.size !== 1) return null;
+	return [...targets][0];
+}
+
+function getReExportChain(file, reExportTargets) {
+	const chain = [];
+	const visited = new Set([file]);
+	let target = reExportTargets.get(file);
+	while (target && !visited.has(target)) {
+		chain.push(target);
+		visited.add(target);
+		target = reExportTargets.get(target);
+	}
+	return chain;
+}
+
+function buildProjectReport(rootDir, summaries) {
+	const fileSet = new Set(summaries.keys());
+	const resolvedByFile = new Map();
+	const importers = new Map();
+	const defaultImporters = new Map();
+	const reExportTargets = new Map();
+
+	for (const [file, summary] of summaries) {
+		const resolvedImports = {};
+		for (const { specifier, usesDefault } of getModuleUses(summary)) {
+			const target = resolveSpecifier(file, specifier, fileSet);
+			resolvedImports[specifier] = target;
+			if (!target || target === file) continue;
+
+			addToSetMap(importers, target, file);
+			if (usesDefault) addToSetMap(defaultImporters, target, file);
+		}
+
+		resolvedByFile.set(file, resolvedImports);
+		reExportTargets.set(file, getReExportTarget(summary, resolvedImports));
+	}
+
+	const files = {};
+	for (const file of summaries.keys()) {
+		files[file] = {
+			resolvedImports: resolvedByFile.get(file),
+			importerCount: importers.get(file)?.size ?? 0,
+			defaultImporterCount: defaultImporters.get(file)?.size ?? 0,
+			reExportChain: getReExportChain(file, reExportTargets),
+		};
+	}
+
+	return { version: PROJECT_REPORT_VERSION, root: rootDir, files };
+}
+
+/**
+ * Analyze every source file under `rootDir` and write the project report to
+ * `outPath`. Summaries of unchanged files are reused from `cachePath`, which
+ * is rewritten with the summaries of the current files only. Files are
+ * parsed with `parseSync` from `oxc-parser`.
+ */
+export function runProjectAnalysis(rootDir, { outPath, cachePath, parseSync }) {
+	const cachedSummaries = readSummaryCache(cachePath);
+	const summariesByHash = {};
+	const summaries = new Map();
+	let cachedCount = 0;
+
+	for (const file of collectSourceFiles(rootDir, "", []).sort()) {
+		const sourceText = readFileSync(path.join(rootDir, file), "utf8");
+		const hash = hashSource(file, sourceText);
+		const cached = cachedSummaries.get(hash);
+		if (cached) cachedCount += 1;
+
+		const summary = cached ?? summarizeModule(file, sourceText, parseSync);
+		summariesByHash[hash] = summary;
+		summaries.set(file, summary);
+	}
+
+	writeJson(outPath, buildProjectReport(rootDir, summaries));
+	writeJson(cachePath, { version: PROJECT_REPORT_VERSION, summaries: summariesByHash });
+	return { fileCount: summaries.size, cachedCount };
+}
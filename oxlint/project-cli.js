@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * inhuman-project: write the project report used by the `projectReport`
+ * option of `no-empty-wrappers` and `export-code-last`.
+ *
+ * Usage: inhuman-project [dir] [--out <file>] [--cache <file>]
+ *
+ * Defaults to the current directory, `<dir>/.inhuman/project.json` and
+ * `<dir>/.inhuman/cache.json`.
+ */
+
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { runProjectAnalysis } from "./project-analysis.js";
+
+const { values, positionals } = parseArgs({
+	allowPositionals: true,
+	options: {
+		out: { type: "string" },
+		cache: { type: "string" },
+	},
+});
+
+// The parser is an optional peer dependency: only this CLI needs it, not the plugin.
+async function loadParser() {
+	try {
+		const { parseSync } = await import("oxc-parser");
+		return parseSync;
+	} catch (error) {
+		if (error?.code !== "ERR_MODULE_NOT_FOUND") throw error;
+		console.error(
+			"inhuman-project needs oxc-parser. Install it with `npm install --save-dev oxc-parser`.",
+		);
+		process.exit(1);
+	}
+}
+
+const rootDir = path.resolve(positionals[0] ?? ".");
+const outPath = path.resolve(values.out ?? path.join(rootDir, ".inhuman", "project.json"));
+const cachePath = path.resolve(values.cache ?? path.join(rootDir, ".inhuman", "cache.json"));
+
+const { fileCount, cachedCount } = runProjectAnalysis(rootDir, {
+	outPath,
+	cachePath,
+	parseSync: await loadParser(),
+});
+console.log(
+	`Analyzed ${fileCount} files (${cachedCount} unchanged). Wrote ${path.relative(process.cwd(), outPath)}.`,
+);
@@ -0,0 +1,46 @@
+/**
+ * Reader for the project report written by `inhuman-project`.
+ *
+ * The report maps every analyzed file (relative to the analyzed directory) to
+ * cross-file facts: how its import specifiers resolve, how many project
+ * modules import it, and whether it only re-exports another module.
+ */
+
+import { existsSync, readFileSync } from "node:fs";
+import path from "node:path";
+
+export const PROJECT_REPORT_VERSION = 1;
+
+// Reports are read once per lint process.
+const loadedReports = new Map();
+
+function loadProjectReport(reportPath) {
+	const cached = loadedReports.get(reportPath);
+	if (cached) return cached;
+
+	if (!existsSync(reportPath)) {
+		throw new Error(
+			`inhuman: project report ${reportPath} does not exist. Run \`inhuman-project\` to create it.`,
+		);
+	}
+
+	const report = JSON.parse(readFileSync(reportPath, "utf8"));
+	if (report.version !== PROJECT_REPORT_VERSION) {
+		throw new Error(
+			`inhuman: project report ${reportPath} is outdated. Run \`inhuman-project\` again.`,
+		);
+	}
+
+	loadedReports.set(reportPath, report);
+	return report;
+}
+
+/**
+ * Cross-file facts for `filename` from the report at `reportPath`, or null
+ * when the file was not part of the analyzed directory.
+ */
+export function getProjectFile(reportPath, filename) {
+	const report = loadProjectReport(path.resolve(reportPath));
+	const key = path.relative(report.root, path.resolve(filename)).split(path.sep).join("/");
+	return report.files[key] ?? null;
+}
@@ -0,0 +1,425 @@
+/**
+ * Scope analysis shared by the inhuman rules.
+ *
+ * Bindings and references come from the host linter's scope manager when it
+ * provides one. Without it, a syntactic walker resolves references instead; it
+ * understands shadowing, `var` hoisting, JSX and TypeScript-only positions.
+ */
+
+const BLOCK_SCOPED_DECLARATION_TYPES = new Set([
+	"ClassDeclaration",
+	"FunctionDeclaration",
+	"TSEnumDeclaration",
+]);
+
+function collectChildNodesFromValue(value, children) {
+	if (Array.isArray(value)) {
+		for (const item of value) {
+			if (item && typeof item.type === "string") {
+				children.push(item);
+			}
+		}
+		return;
+	}
+	if (value && typeof value.type === "string") {
+		children.push(value);
+	}
+}
+
+function isJsxReference(node, parent) {
+	if (parent?.type === "JSXMemberExpression") {
+		return parent.object === node;
+	}
+
+	if (parent?.type !== "JSXOpeningElement" && parent?.type !== "JSXClosingElement") {
+		return false;
+	}
+
+	// Lower-case tag names such as `<div>` are intrinsic elements, not bindings.
+	return parent.name === node && !/^[a-z]/u.test(node.name);
+}
+
+function isIdentifierReference(node, parent) {
+	if (node.type === "JSXIdentifier") return isJsxReference(node, parent);
+	if (!parent) return true;
+
+	const parentType = parent.type;
+
+	if (parentType === "VariableDeclarator") {
+		return parent.init === node;
+	}
+
+	if (
+		parentType === "FunctionDeclaration" ||
+		parentType === "FunctionExpression" ||
+		parentType === "ArrowFunctionExpression"
+	) {
+		if (parent.id === node) return false;
+		if (Array.isArray(parent.params) && parent.params.includes(node)) return false;
+		return true;
+	}
+
+	if (parentType === "ClassDeclaration" || parentType === "ClassExpression") {
+		if (parent.id === node) return false;
+		return true;
+	}
+
+	if (parentType === "CatchClause") {
+		if (parent.param === node) return false;
+		return true;
+	}
+
+	if (
+		parentType === "ImportSpecifier" ||
+		parentType === "ImportDefaultSpecifier" ||
+		parentType === "ImportNamespaceSpecifier" ||
+		parentType === "ExportSpecifier"
+	) {
+		return false;
+	}
+
+	if (parentType === "ExportDefaultDeclaration") {
+		if (parent.declaration === node) return false;
+		return true;
+	}
+
+	if (parentType === "MemberExpression") {
+		if (parent.property === node && !parent.computed) return false;
+		return true;
+	}
+
+	if (parentType === "Property") {
+		const inPattern = parent.parent?.type === "ObjectPattern";
+		if (inPattern) {
+			if (parent.key === node && parent.computed) return true;
+			return false;
+		}
+		if (parent.key === node) {
+			if (parent.computed) return true;
+			if (parent.shorthand) return true;
+			return false;
+		}
+		return true;
+	}
+
+	if (parentType === "MethodDefinition") {
+		if (parent.key === node && !parent.computed) return false;
+		return true;
+	}
+
+	if (parentType === "PropertyDefinition" || parentType === "ClassProperty") {
+		if (parent.key === node && !parent.computed) return false;
+		return true;
+	}
+
+	if (
+		parentType === "LabeledStatement" ||
+		parentType === "BreakStatement" ||
+		parentType === "ContinueStatement"
+	) {
+		return false;
+	}
+
+	if (parentType === "AssignmentPattern") {
+		if (parent.left === node) return false;
+		return true;
+	}
+
+	if (
+		parentType === "RestElement" ||
+		parentType === "ArrayPattern" ||
+		parentType === "ObjectPattern"
+	) {
+		return false;
+	}
+
+	if (
+		parentType === "ForInStatement" ||
+		parentType === "ForOfStatement" ||
+		parentType === "ForStatement"
+	) {
+		if (parent.left === node) return false;
+		return true;
+	}
+
+	if (
+		parentType === "TSAsExpression" ||
+		parentType === "TSTypeAssertion" ||
+		parentType === "TSNonNullExpression" ||
+		parentType === "TSInstantiationExpression"
+	) {
+		return parent.expression === node;
+	}
+
+	if (
+		parentType === "TSTypeAnnotation" ||
+		parentType === "TSTypeReference" ||
+		parentType === "TSQualifiedName" ||
+		parentType === "TSInterfaceDeclaration" ||
+		parentType === "TSTypeAliasDeclaration" ||
+		parentType === "TSModuleDeclaration" ||
+		parentType === "TSEnumDeclaration" ||
+		parentType === "TSEnumMember" ||
+		parentType === "TSParameterProperty" ||
+		parentType === "TSPropertySignature" ||
+		parentType === "TSTypeLiteral" ||
+		parentType === "TSUnionType" ||
+		parentType === "TSIntersectionType" ||
+		parentType === "TSLiteralType" ||
+		parentType === "TSArrayType" ||
+		parentType === "TSTypeOperator" ||
+		parentType === "TSIndexedAccessType" ||
+		parentType === "TSMappedType" ||
+		parentType === "TSFunctionType" ||
+		parentType === "TSConstructorType" ||
+		parentType === "TSImportType"
+	) {
+		return false;
+	}
+
+	return true;
+}
+
+function collectVarNames(node, visitorKeys, names) {
+	for (const child of getChildNodes(node, visitorKeys)) {
+		// Nested functions and static blocks hoist their own `var`s.
+		if (FUNCTION_NODE_TYPES.has(child.type) || child.type === "StaticBlock") continue;
+
+		if (child.type === "VariableDeclaration" && child.kind === "var") {
+			for (const declarator of child.declarations ?? []) {
+				collectPatternNames(declarator.id, names);
+			}
+		}
+		collectVarNames(child, visitorKeys, names);
+	}
+}
+
+/**
+ * The names a scope-creating `node` declares for its own subtree, which shadow
+ * any outer binding with the same name.
+ */
+function getScopeDeclaredNames(node, visitorKeys) {
+	if (FUNCTION_NODE_TYPES.has(node.type)) {
+		const names = new Set();
+		for (const param of node.params ?? []) {
+			collectPatternNames(param, names);
+		}
+		if (node.type === "FunctionExpression") collectPatternNames(node.id, names);
+		collectVarNames(node.body, visitorKeys, names);
+		return names;
+	}
+
+	if (node.type === "BlockStatement") return collectBlockScopedNames(node.body);
+	if (node.type === "SwitchStatement") {
+		return collectBlockScopedNames(node.cases.flatMap((switchCase) => switchCase.consequent));
+	}
+
+	if (node.type === "StaticBlock") {
+		const names = collectBlockScopedNames(node.body);
+		collectVarNames(node, visitorKeys, names);
+		return names;
+	}
+
+	if (node.type === "ForStatement") return collectBlockScopedNames([node.init].filter(Boolean));
+	if (node.type === "ForInStatement" || node.type === "ForOfStatement") {
+		return collectBlockScopedNames([node.left]);
+	}
+
+	const names = new Set();
+	if (node.type === "CatchClause" || node.type === "ClassExpression") {
+		collectPatternNames(node.param ?? node.id, names);
+	}
+	return names;
+}
+
+/**
+ * Collect the identifiers under `root` that refer to each binding in `names`
+ * visible at `root`, skipping subtrees where an inner declaration shadows it.
+ * Every name is resolved in the same walk.
+ */
+function collectReferencesByName(root, names, visitorKeys) {
+	const references = new Map([...names].map((name) => [name, []]));
+
+	function visit(node, parent, shadowed) {
+		let innerShadowed = shadowed;
+		if (node !== root) {
+			const declared = [...getScopeDeclaredNames(node, visitorKeys)].filter((name) => {
+				return names.has(name) && !shadowed.has(name);
+			});
+			if (declared.length > 0) innerShadowed = new Set([...shadowed, ...declared]);
+		}
+
+		const isNamed = node.type === "Identifier" || node.type === "JSXIdentifier";
+		if (isNamed && names.has(node.name) && !innerShadowed.has(node.name)) {
+			if (isIdentifierReference(node, parent)) references.get(node.name).push(node);
+		}
+
+		for (const child of getChildNodes(node, visitorKeys)) {
+			visit(child, node, innerShadowed);
+		}
+	}
+
+	visit(root, root.parent ?? null, new Set());
+	return references;
+}
+
+function isRangeWithin(range, outer) {
+	return range != null && range[0] >= outer[0] && range[1] <= outer[1];
+}
+
+/**
+ * Whether a reference to `name` inside `root`, made from `scope` or one of its
+ * children, reads the binding visible at `root` rather than one declared in a
+ * scope nested inside it.
+ */
+function hasScopeReference(scope, root, rootRange, name) {
+	const blockRange = getNodeRange(scope.block);
+	if (blockRange && (blockRange[1] <= rootRange[0] || blockRange[0] >= rootRange[1])) return false;
+
+	for (const reference of scope.references ?? []) {
+		if (reference.init === true || reference.identifier?.name !== name) continue;
+		if (!isRangeWithin(getNodeRange(reference.identifier), rootRange)) continue;
+
+		const declaringBlock = reference.resolved?.scope?.block;
+		const isShadowed =
+			declaringBlock != null &&
+			declaringBlock !== root &&
+			isRangeWithin(getNodeRange(declaringBlock), rootRange);
+		if (!isShadowed) return true;
+	}
+	return (scope.childScopes ?? []).some((child) => hasScopeReference(child, root, rootRange, name));
+}
+
+export function getNodeRange(node) {
+	if (!node) return null;
+	if (Array.isArray(node.range) && node.range.length === 2) return node.range;
+	if (typeof node.start === "number" && typeof node.end === "number") {
+		return [node.start, node.end];
+	}
+	return null;
+}
+
+// Rule context accessors, falling back to the methods of older ESLint versions.
+export function getSourceCode(context) {
+	return (
+		context.sourceCode ??
+		(typeof context.getSourceCode === "function" ? context.getSourceCode() : null)
+	);
+}
+
+export function getFilename(context) {
+	return context.filename ?? context.getFilename?.();
+}
+
+export function getVisitorKeys(sourceCode) {
+	return sourceCode?.visitorKeys ?? null;
+}
+
+export function getChildNodes(node, visitorKeys) {
+	if (!node || typeof node.type !== "string") return [];
+	const keys = visitorKeys?.[node.type];
+	if (Array.isArray(keys) && keys.length > 0) {
+		const children = [];
+		for (const key of keys) {
+			collectChildNodesFromValue(node[key], children);
+		}
+		return children;
+	}
+
+	const children = [];
+	for (const [key, value] of Object.entries(node)) {
+		if (key === "parent") continue;
+		collectChildNodesFromValue(value, children);
+	}
+	return children;
+}
+
+export function collectPatternNames(pattern, names) {
+	if (!pattern) return;
+
+	if (pattern.type === "Identifier") {
+		names.add(pattern.name);
+		return;
+	}
+
+	if (pattern.type === "AssignmentPattern") {
+		collectPatternNames(pattern.left, names);
+		return;
+	}
+
+	if (pattern.type === "RestElement") {
+		collectPatternNames(pattern.argument, names);
+		return;
+	}
+
+	if (pattern.type === "TSParameterProperty") {
+		collectPatternNames(pattern.parameter, names);
+		return;
+	}
+
+	if (pattern.type === "ArrayPattern") {
+		for (const element of pattern.elements ?? []) {
+			collectPatternNames(element, names);
+		}
+		return;
+	}
+
+	if (pattern.type === "ObjectPattern") {
+		for (const property of pattern.properties ?? []) {
+			collectPatternNames(property.type === "Property" ? property.value : property, names);
+		}
+	}
+}
+
+export function collectBlockScopedNames(statements) {
+	const names = new Set();
+
+	for (const statement of statements) {
+		if (statement.type === "VariableDeclaration" && statement.kind !== "var") {
+			for (const declarator of statement.declarations ?? []) {
+				collectPatternNames(declarator.id, names);
+			}
+			continue;
+		}
+
+		if (BLOCK_SCOPED_DECLARATION_TYPES.has(statement.type)) {
+			collectPatternNames(statement.id, names);
+		}
+	}
+
+	return names;
+}
+
+export function getModuleScope(scopeManager) {
+	const globalScope = scopeManager.globalScope;
+	return globalScope.childScopes?.find((scope) => scope.type === "module") ?? globalScope;
+}
+
+/**
+ * Whether the binding `name` visible at `root` is referenced anywhere inside
+ * it, resolved through the scope manager when the host provides one.
+ */
+export function isNameReferenced(root, name, sourceCode) {
+	const scopeManager = sourceCode?.scopeManager;
+	const rootRange = getNodeRange(root);
+	if (scopeManager?.globalScope && rootRange) {
+		return hasScopeReference(scopeManager.globalScope, root, rootRange, name);
+	}
+
+	const references = collectReferencesByName(root, new Set([name]), getVisitorKeys(sourceCode));
+	return references.get(name).length > 0;
+}
+
+/**
+ * The identifiers under `program` that read or reassign each top-level
+ * binding in `names`. Only for hosts without a scope manager.
+ */
+export function collectModuleReferences(program, names, sourceCode) {
+	return collectReferencesByName(program, names, getVisitorKeys(sourceCode));
+}
+
+export const FUNCTION_NODE_TYPES = new Set([
+	"FunctionDeclaration",
+	"FunctionExpression",
+	"ArrowFunctionExpression",
+]);
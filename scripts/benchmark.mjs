@@ -0,0 +1,187 @@
+/**
+ * Time the inhuman rules on synthetic large modules.
+ *
+ * Usage: node scripts/benchmark.mjs [--lines 20000] [--runs 3] [--save <file>] [--compare <file>]
+ *
+ * Each rule runs on its own so a slow rule stands out, and `(all rules)` runs
+ * them together the way a project would. Times are the median of `--runs`
+ * oxlint runs, minus the time oxlint takes with the plugin loaded and no rule
+ * enabled. `--save` writes the results, and `--compare` exits with an error
+ * when a rule got slower than a saved result by more than `--tolerance`.
+ */
+
+import { spawnSync } from "node:child_process";
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import plugin from "../oxlint/inhuman.plugin.js";
+
+const oxlintBin = path.resolve("node_modules/.bin/oxlint");
+const pluginPath = path.resolve("oxlint/inhuman.plugin.js");
+
+// Differences smaller than this are noise, whatever the tolerance.
+const MIN_REGRESSION_MS = 50;
+
+const { values } = parseArgs({
+	options: {
+		lines: { type: "string", default: "20000" },
+		runs: { type: "string", default: "3" },
+		tolerance: { type: "string", default: "0.25" },
+		save: { type: "string" },
+		compare: { type: "string" },
+	},
+});
+
+const lineCount = Number(values.lines);
+const runCount = Number(values.runs);
+const tolerance = Number(values.tolerance);
+
+if (!existsSync(oxlintBin)) {
+	console.error("Oxlint binary not found at node_modules/.bin/oxlint.");
+	process.exit(1);
+}
+
+/**
+ * One block of generated-looking code that every rule has something to look
+ * at in: top-level functions calling each other, exports between other
+ * statements, catches, guards, ternaries and nested callbacks.
+ */
+function createBlock(index) {
+	return `function computeTotal${index}(items, options) {
+  if (!items) return 0;
+  let total = 0;
+  for (const item of items) {
+    if (item.skip) continue;
+    total += item.price * (options.rate ?? 1);
+  }
+  return formatAmount${index}(total, options, false);
+}
+
+function formatAmount${index}(value, options, compact = false) {
+  const unit = options.currency ? options.currency : compact ? "" : "units";
+  return \`\${unit} \${value}\`;
+}
+
+export const handler${index} = (request) => computeTotal${index}(request.items, request.options);
+
+try {
+  registry.register("handler${index}", handler${index});
+} catch (error) {
+  throw new Error("Could not register handler${index}", { cause: error });
+}
+
+registry.each((entry) => {
+  entry.routes.forEach((route) => {
+    if (route.enabled) route.bind(formatAmount${index});
+  });
+});
+
+`;
+}
+
+function createModule(lines) {
+	const blockLines = createBlock(0).split("\n").length - 1;
+	const blocks = [];
+	for (let index = 0; index * blockLines < lines; index += 1) {
+		blocks.push(createBlock(index));
+	}
+	return `${blocks.join("")}const settings = { mode: "generated" };\n\nexport default settings;\n`;
+}
+
+function writeConfig(dir, rules) {
+	const configPath = path.join(dir, ".oxlintrc.json");
+	const config = {
+		categories: { correctness: "off" },
+		jsPlugins: [pluginPath],
+		rules,
+	};
+	writeFileSync(configPath, JSON.stringify(config));
+	return configPath;
+}
+
+function timeRun(configPath, file) {
+	const start = process.hrtime.bigint();
+	const result = spawnSync(oxlintBin, ["--config", configPath, "--quiet", file], {
+		encoding: "utf8",
+		maxBuffer: 64 * 1024 * 1024,
+	});
+	const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+
+	if (result.status !== 0 || result.stderr.trim().length > 0) {
+		console.error(result.stderr || result.stdout);
+		throw new Error(`oxlint exited with ${result.status} for ${configPath}.`);
+	}
+	return elapsed;
+}
+
+function timeMedian(configPath, file) {
+	const times = [];
+	for (let run = 0; run < runCount; run += 1) {
+		times.push(timeRun(configPath, file));
+	}
+	times.sort((left, right) => left - right);
+	return times[Math.floor(times.length / 2)];
+}
+
+function runBenchmarks(dir, file) {
+	const strictRules = plugin.configs.strict.rules;
+	const overhead = timeMedian(writeConfig(dir, {}), file);
+	console.log(`oxlint with no rule enabled: ${overhead.toFixed(0)} ms (subtracted below)\n`);
+
+	const results = {};
+	const suites = [
+		...Object.keys(strictRules).map((ruleId) => [ruleId, { [ruleId]: "warn" }]),
+		["(all rules)", Object.fromEntries(Object.keys(strictRules).map((id) => [id, "warn"]))],
+	];
+	for (const [name, rules] of suites) {
+		const configPath = writeConfig(dir, rules);
+		results[name] = Math.max(0, timeMedian(configPath, file) - overhead);
+		console.log(`${name.padEnd(40)} ${results[name].toFixed(0).padStart(7)} ms`);
+	}
+	return results;
+}
+
+function findRegressions(results, saved) {
+	const regressions = [];
+	for (const [name, time] of Object.entries(results)) {
+		const before = saved.results[name];
+		if (before == null) continue;
+		if (time - before < MIN_REGRESSION_MS || time <= before * (1 + tolerance)) continue;
+
+		regressions.push(`${name}: ${before.toFixed(0)} ms -> ${time.toFixed(0)} ms`);
+	}
+	return regressions;
+}
+
+const tempDir = mkdtempSync(path.join(os.tmpdir(), "inhuman-bench-"));
+try {
+	const file = path.join(tempDir, "generated.js");
+	writeFileSync(file, createModule(lineCount));
+	console.log(`==> ${lineCount} lines, median of ${runCount} runs\n`);
+
+	const results = runBenchmarks(tempDir, file);
+
+	if (values.save) {
+		const saved = { lines: lineCount, results };
+		writeFileSync(values.save, `${JSON.stringify(saved, null, "\t")}\n`);
+		console.log(`\nWrote ${values.save}.`);
+	}
+
+	if (values.compare) {
+		const saved = JSON.parse(readFileSync(values.compare, "utf8"));
+		if (saved.lines !== lineCount) {
+			console.error(`\n${values.compare} was recorded with --lines ${saved.lines}.`);
+			process.exit(1);
+		}
+
+		const regressions = findRegressions(results, saved);
+		if (regressions.length > 0) {
+			console.error(`\nSlower than ${values.compare}:\n${regressions.join("\n")}`);
+			process.exit(1);
+		}
+		console.log(`\nNo rule is slower than ${values.compare}.`);
+	}
+} finally {
+	rmSync(tempDir, { recursive: true, force: true });
+}
@@ -0,0 +1,166 @@
+/**
+ * Expected diagnostics for the fixtures under `examples`.
+ *
+ * A fixture declares what it reports with `// expect:` comments. A trailing
+ * comment applies to its own line; a comment on a line of its own applies to
+ * the next line that is not an expectation:
+ *
+ *   } else if (score >= 80) { // expect: inhuman/no-else@noElse:10
+ *
+ * Each entry is `<rule>@<messageId>`, optionally followed by `:<column>`, and
+ * several entries are separated by commas. A sidecar `<fixture>.expect.json`
+ * lists entries as objects with `rule`, `messageId`, `line`, `column`,
+ * `endLine` and `endColumn`; fields it leaves out are not compared.
+ */
+
+import { existsSync, readFileSync } from "node:fs";
+
+const EXPECT_COMMENT_PATTERN = /\/\/\s*expect:\s*(.+)$/u;
+
+const EXPECT_ENTRY_PATTERN = /^([\w-]+\/[\w-]+)(?:@(\w+))?(?::(\d+))?$/u;
+
+const COMPARED_FIELDS = ["rule", "messageId", "line", "column", "endLine", "endColumn"];
+
+function parseExpectEntries(text, location) {
+	return text.split(",").map((entry) => {
+		const match = EXPECT_ENTRY_PATTERN.exec(entry.trim());
+		if (!match) {
+			throw new Error(`${location}: cannot read expectation \`${entry.trim()}\`.`);
+		}
+
+		const [, rule, messageId, column] = match;
+		return {
+			rule,
+			...(messageId ? { messageId } : {}),
+			...(column ? { column: Number(column) } : {}),
+		};
+	});
+}
+
+function parseInlineExpectations(file, text) {
+	const expectations = [];
+	let pending = [];
+
+	for (const [index, lineText] of text.split("\n").entries()) {
+		const line = index + 1;
+		const match = EXPECT_COMMENT_PATTERN.exec(lineText);
+		if (!match) {
+			expectations.push(...pending.map((entry) => ({ ...entry, line })));
+			pending = [];
+			continue;
+		}
+
+		const entries = parseExpectEntries(match[1], `${file}:${line}`);
+		if (lineText.trimStart().startsWith("//")) {
+			pending.push(...entries);
+			continue;
+		}
+		expectations.push(...entries.map((entry) => ({ ...entry, line })));
+	}
+
+	if (pending.length > 0) {
+		throw new Error(`${file}: the last \`// expect:\` comment has no line after it.`);
+	}
+	return expectations;
+}
+
+/**
+ * All expectations declared for `file`: its `// expect:` comments and the
+ * entries of its `.expect.json` sidecar, if it has one.
+ */
+export function readExpectations(file, text) {
+	const sidecarPath = `${file}.expect.json`;
+	const sidecar = existsSync(sidecarPath) ? JSON.parse(readFileSync(sidecarPath, "utf8")) : [];
+	return [...parseInlineExpectations(file, text), ...sidecar];
+}
+
+function escapeRegExp(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/gu, "\\$&");
+}
+
+function createMessagePattern(template) {
+	const parts = template.split(/\{\{\s*\w+\s*\}\}/u).map(escapeRegExp);
+	return new RegExp(`^${parts.join(".*?")}$`, "su");
+}
+
+/**
+ * Oxlint reports the rendered message, not its id, so ids are recovered by
+ * matching the message against each rule's `meta.messages` templates.
+ */
+export function createMessageIdResolver(plugin) {
+	const patternsByRule = new Map();
+	for (const [name, rule] of Object.entries(plugin.rules)) {
+		const messages = Object.entries(rule.meta?.messages ?? {});
+		const patterns = messages.map(([messageId, template]) => {
+			return { messageId, pattern: createMessagePattern(template) };
+		});
+		patternsByRule.set(`${plugin.meta.name}/${name}`, patterns);
+	}
+
+	return (rule, message) => {
+		const patterns = patternsByRule.get(rule) ?? [];
+		return patterns.find(({ pattern }) => pattern.test(message))?.messageId ?? null;
+	};
+}
+
+// Oxlint spans are UTF-8 byte offsets; lines and columns are 1-based.
+function getPosition(sourceBytes, offset) {
+	const before = sourceBytes.subarray(0, offset).toString("utf8");
+	const lines = before.split("\n");
+	return { line: lines.length, column: lines.at(-1).length + 1 };
+}
+
+/**
+ * Convert an oxlint JSON diagnostic to the shape expectations are compared
+ * against. `eslint(no-else)` becomes the rule id `eslint/no-else`.
+ */
+export function toFixtureDiagnostic(diagnostic, sourceBytes, resolveMessageId) {
+	const rule = diagnostic.code.replace(/^([\w-]+)\((.+)\)$/u, "$1/$2");
+	const span = diagnostic.labels?.[0]?.span ?? { offset: 0, length: 0 };
+	const start = getPosition(sourceBytes, span.offset);
+	const end = getPosition(sourceBytes, span.offset + span.length);
+	const messageId = resolveMessageId(rule, diagnostic.message);
+
+	return {
+		rule,
+		...(messageId ? { messageId } : {}),
+		line: start.line,
+		column: start.column,
+		endLine: end.line,
+		endColumn: end.column,
+	};
+}
+
+function matchesExpectation(expectation, diagnostic) {
+	return COMPARED_FIELDS.every((field) => {
+		return expectation[field] === undefined || expectation[field] === diagnostic[field];
+	});
+}
+
+/**
+ * Pair every expectation with a reported diagnostic. Returns the
+ * expectations nothing matched and the diagnostics nothing expected.
+ */
+export function diffExpectations(expectations, diagnostics) {
+	const unmatched = [...diagnostics];
+	const missing = [];
+
+	for (const expectation of expectations) {
+		const index = unmatched.findIndex((diagnostic) => matchesExpectation(expectation, diagnostic));
+		if (index === -1) {
+			missing.push(expectation);
+			continue;
+		}
+		unmatched.splice(index, 1);
+	}
+
+	return { missing, unexpected: unmatched };
+}
+
+export function formatDiagnostic(diagnostic) {
+	const position = [diagnostic.line, diagnostic.column].filter((part) => part != null).join(":");
+	const end =
+		diagnostic.endLine == null ? "" : `-${diagnostic.endLine}:${diagnostic.endColumn ?? "?"}`;
+	const messageId = diagnostic.messageId ? `@${diagnostic.messageId}` : "";
+	return `${position}${end} ${diagnostic.rule}${messageId}`;
+}
@@ -1,36 +1,328 @@
 import { spawnSync } from "node:child_process";
-import { existsSync } from "node:fs";
+import {
+	copyFileSync,
+	existsSync,
+	mkdirSync,
+	mkdtempSync,
+	readdirSync,
+	readFileSync,
+	rmSync,
+	writeFileSync,
+} from "node:fs";
+import os from "node:os";
 import path from "node:path";
+import plugin from "../oxlint/inhuman.plugin.js";
+import {
+	createMessageIdResolver,
+	diffExpectations,
+	formatDiagnostic,
+	readExpectations,
+	toFixtureDiagnostic,
+} from "./fixture-expectations.mjs";
 
 const oxlintBin = path.resolve("node_modules/.bin/oxlint");
 const configPath = path.resolve(".oxlintrc.json");
+const projectReportPath = path.resolve("node_modules/.cache/inhuman/project.json");
+const projectCachePath = path.resolve("node_modules/.cache/inhuman/cache.json");
+const fixturesDir = "examples";
+
+const FIXTURE_PATTERN = /\.[cm]?[jt]sx?$/u;
 
 if (!existsSync(oxlintBin)) {
 	console.error("Oxlint binary not found at node_modules/.bin/oxlint.");
 	process.exit(1);
 }
 
-function runOxlint(label, targetPath, expectZeroExit) {
-	console.log(`\n==> ${label}: oxlint ${targetPath}`);
-	const result = spawnSync(oxlintBin, ["--config", configPath, targetPath], {
-		stdio: "inherit",
+// Every rule has to be enabled by name, so a rule missing from a preset never runs for its users.
+function checkPresets() {
+	console.log("\n==> Presets: every rule is enabled");
+	for (const [presetName, preset] of Object.entries(plugin.configs)) {
+		const missing = Object.keys(plugin.rules).filter(
+			(ruleName) => !(`inhuman/${ruleName}` in preset.rules),
+		);
+		if (missing.length > 0) {
+			console.error(`Preset ${presetName} does not enable: ${missing.join(", ")}.`);
+			process.exit(1);
+		}
+	}
+
+	console.log("✔ Presets");
+}
+
+// Fixtures under `examples/*/project` read this report through the `projectReport` option.
+function buildProjectReport() {
+	console.log("\n==> Project report: inhuman-project examples");
+	const result = spawnSync(
+		process.execPath,
+		["oxlint/project-cli.js", "examples", "--out", projectReportPath, "--cache", projectCachePath],
+		{ stdio: "inherit" },
+	);
+
+	if (result.status !== 0) {
+		console.error(`Expected the project report to build, but it exited with ${result.status}.`);
+		process.exit(result.status ?? 1);
+	}
+}
+
+function isSnapshotFile(file) {
+	return /\.fixed\.[cm]?[jt]sx?$/u.test(file);
+}
+
+function getSnapshotPath(file) {
+	return file.replace(FIXTURE_PATTERN, (extension) => `.fixed${extension}`);
+}
+
+function collectFixtures(dir, files) {
+	for (const entry of readdirSync(dir, { withFileTypes: true })) {
+		const file = `${dir}/${entry.name}`;
+		if (entry.isDirectory()) {
+			collectFixtures(file, files);
+			continue;
+		}
+
+		if (FIXTURE_PATTERN.test(entry.name) && !isSnapshotFile(entry.name)) files.push(file);
+	}
+	return files;
+}
+
+function runOxlintJson(args, cwd) {
+	const result = spawnSync(oxlintBin, ["--format", "json", ...args], {
+		cwd,
+		encoding: "utf8",
+		maxBuffer: 64 * 1024 * 1024,
 	});
 
-	const exitCode = result.status ?? 1;
-	if (expectZeroExit && exitCode !== 0) {
-		console.error(`Expected ${label} to pass, but oxlint exited with ${exitCode}.`);
-		process.exit(exitCode);
+	let diagnostics;
+	try {
+		diagnostics = JSON.parse(result.stdout).diagnostics;
+	} catch (error) {
+		console.error(result.stderr || result.stdout);
+		throw new Error(`Could not read the output of oxlint (exit code ${result.status}).`, {
+			cause: error,
+		});
 	}
 
-	if (!expectZeroExit && exitCode === 0) {
-		console.error(`Expected ${label} to fail, but oxlint exited with 0.`);
-		process.exit(1);
+	// Errors thrown while running the plugin are reported without a rule code.
+	const crash = diagnostics.find((diagnostic) => !diagnostic.code);
+	if (crash) throw new Error(crash.message);
+	return diagnostics;
+}
+
+function groupByFile(diagnostics) {
+	const byFile = new Map();
+	for (const diagnostic of diagnostics) {
+		const list = byFile.get(diagnostic.filename) ?? [];
+		list.push(diagnostic);
+		byFile.set(diagnostic.filename, list);
 	}
+	return byFile;
+}
 
-	console.log(`✔ ${label}`);
+// Plugin diagnostics are compared at any severity; other rules only when they are errors.
+function isComparedDiagnostic(diagnostic) {
+	return diagnostic.code.startsWith(`${plugin.meta.name}(`) || diagnostic.severity === "error";
 }
 
-runOxlint("Pass fixtures", "examples/pass", true);
-runOxlint("Fail fixtures", "examples/fail", false);
+/**
+ * Compare what oxlint reports for `file` with its declared expectations.
+ * Returns readable problem lines, or an empty list when they agree.
+ */
+function checkFixture(file, diagnostics, resolveMessageId) {
+	const text = readFileSync(file, "utf8");
+	const expectations = readExpectations(file, text);
+	const isFailFixture = file.startsWith(`${fixturesDir}/fail/`);
+	// Modules of a fixture project may only exist to be imported by the ones that fail.
+	const isProjectModule = file.includes("/project/");
+
+	if (isFailFixture && !isProjectModule && expectations.length === 0) {
+		return ["  fail fixture declares no `// expect:` diagnostics"];
+	}
+	if (!isFailFixture && expectations.length > 0) {
+		return ["  pass fixture must not expect diagnostics"];
+	}
+
+	const sourceBytes = Buffer.from(text);
+	const actual = diagnostics
+		.filter(isComparedDiagnostic)
+		.map((diagnostic) => toFixtureDiagnostic(diagnostic, sourceBytes, resolveMessageId));
+	const { missing, unexpected } = diffExpectations(expectations, actual);
+	return [
+		...missing.map(
+			(expectation) => `  - ${formatDiagnostic(expectation)} (expected, not reported)`,
+		),
+		...unexpected.map(
+			(diagnostic) => `  + ${formatDiagnostic(diagnostic)} (reported, not expected)`,
+		),
+	];
+}
+
+function checkExpectations(fixtures) {
+	console.log(`\n==> Expected diagnostics: oxlint ${fixturesDir}`);
+	const diagnosticsByFile = groupByFile(runOxlintJson(["--config", configPath, fixturesDir]));
+	const resolveMessageId = createMessageIdResolver(plugin);
+
+	let failures = 0;
+	for (const file of fixtures) {
+		const problems = checkFixture(file, diagnosticsByFile.get(file) ?? [], resolveMessageId);
+		if (problems.length === 0) continue;
+
+		failures += 1;
+		console.error(`\n✖ ${file}\n${problems.join("\n")}`);
+	}
+
+	console.log(`✔ ${fixtures.length - failures} of ${fixtures.length} fixtures report as expected`);
+	return failures;
+}
+
+// The config with plugin paths made absolute, so it still loads from a copy of the fixtures.
+function writeRelocatedConfig(dir, settings) {
+	const config = JSON.parse(readFileSync(configPath, "utf8"));
+	config.jsPlugins = config.jsPlugins.map((plugin) => {
+		return plugin.startsWith(".") ? path.resolve(plugin) : plugin;
+	});
+	config.settings = settings;
+	delete config.$schema;
+
+	const relocatedPath = path.join(dir, ".oxlintrc.json");
+	writeFileSync(relocatedPath, JSON.stringify(config));
+	return relocatedPath;
+}
+
+function copyFixtures(files, dir) {
+	for (const file of files) {
+		mkdirSync(path.join(dir, path.dirname(file)), { recursive: true });
+		copyFileSync(file, path.join(dir, file));
+	}
+}
+
+function formatSnapshotDiff(expected, actual) {
+	const expectedLines = expected.split("\n");
+	const actualLines = actual.split("\n");
+	const lines = [];
+	for (let index = 0; index < Math.max(expectedLines.length, actualLines.length); index += 1) {
+		if (expectedLines[index] === actualLines[index]) continue;
+
+		if (index < expectedLines.length) lines.push(`  - ${index + 1}: ${expectedLines[index]}`);
+		if (index < actualLines.length) lines.push(`  + ${index + 1}: ${actualLines[index]}`);
+	}
+	return lines;
+}
+
+/**
+ * Apply autofixes to a copy of every fixture that has a `.fixed` snapshot
+ * next to it and compare the result with the snapshot.
+ */
+function checkFixSnapshots(fixtures) {
+	const snapshotted = fixtures.filter((file) => existsSync(getSnapshotPath(file)));
+	console.log(`\n==> Fix snapshots: oxlint --fix on ${snapshotted.length} fixtures`);
+	if (snapshotted.length === 0) return 0;
+
+	const tempDir = mkdtempSync(path.join(os.tmpdir(), "inhuman-fix-"));
+	try {
+		const relocatedConfigPath = writeRelocatedConfig(tempDir, {});
+		copyFixtures(snapshotted, tempDir);
+		runOxlintJson(["--config", relocatedConfigPath, "--fix", ...snapshotted], tempDir);
+
+		let failures = 0;
+		for (const file of snapshotted) {
+			const expected = readFileSync(getSnapshotPath(file), "utf8");
+			const actual = readFileSync(path.join(tempDir, file), "utf8");
+			if (actual === expected) continue;
+
+			failures += 1;
+			const diff = formatSnapshotDiff(expected, actual);
+			console.error(`\n✖ ${getSnapshotPath(file)}\n${diff.join("\n")}`);
+		}
+
+		console.log(`✔ ${snapshotted.length - failures} of ${snapshotted.length} snapshots match`);
+		return failures;
+	} finally {
+		rmSync(tempDir, { recursive: true, force: true });
+	}
+}
+
+function runBaselineCli(args, cwd) {
+	const cliPath = path.resolve("oxlint/baseline-cli.js");
+	const result = spawnSync(process.execPath, [cliPath, ...args, "--config", ".oxlintrc.json"], {
+		cwd,
+		encoding: "utf8",
+	});
+	if (result.status !== 0) {
+		throw new Error(`inhuman-baseline ${args[0]} failed: ${result.stderr}`);
+	}
+	return result.stdout.trim();
+}
+
+function getPluginDiagnostics(cwd) {
+	const diagnostics = runOxlintJson(["--config", ".oxlintrc.json", fixturesDir], cwd);
+	return diagnostics.filter((diagnostic) => diagnostic.code.startsWith(`${plugin.meta.name}(`));
+}
+
+/**
+ * Record a baseline for a copy of the fail fixtures, then check that it hides
+ * every recorded violation but not a new one, and that pruning drops
+ * violations that were fixed. Project fixtures need the project report, so
+ * they are left out.
+ */
+function checkBaseline(fixtures) {
+	console.log("\n==> Baseline: inhuman-baseline record / prune");
+	const failFixtures = fixtures.filter((file) => {
+		return file.startsWith(`${fixturesDir}/fail/`) && !file.includes("/project/");
+	});
+
+	const tempDir = mkdtempSync(path.join(os.tmpdir(), "inhuman-baseline-"));
+	try {
+		writeRelocatedConfig(tempDir, { inhuman: { baseline: "baseline.json" } });
+		copyFixtures(failFixtures, tempDir);
+		console.log(runBaselineCli(["record", fixturesDir, "--baseline", "baseline.json"], tempDir));
+
+		const problems = [];
+		const hidden = getPluginDiagnostics(tempDir);
+		if (hidden.length > 0) {
+			problems.push(`  ${hidden.length} recorded violation(s) still reported`);
+		}
+
+		// A second copy of a recorded violation is new, and the fixed wrapper leaves the baseline.
+		const elsePath = path.join(tempDir, `${fixturesDir}/fail/else.js`);
+		const elseSource = readFileSync(elsePath, "utf8");
+		const elseCopy = elseSource.replace("export function formatName", "function formatNickname");
+		writeFileSync(elsePath, `${elseCopy}\n${elseSource}`);
+		const wrapperPath = `${fixturesDir}/fail/wrapper-if.js`;
+		copyFileSync(getSnapshotPath(wrapperPath), path.join(tempDir, wrapperPath));
+
+		const added = getPluginDiagnostics(tempDir).map((diagnostic) => diagnostic.code);
+		if (added.join() !== "inhuman(no-else)") {
+			problems.push(
+				`  expected only the copied inhuman(no-else), got: ${added.join(", ") || "none"}`,
+			);
+		}
+
+		const pruned = runBaselineCli(["prune", fixturesDir, "--baseline", "baseline.json"], tempDir);
+		console.log(pruned);
+		if (!pruned.startsWith("Pruned 1 ")) {
+			problems.push("  expected prune to drop the fixed wrapper-if.js violation");
+		}
+
+		if (problems.length > 0) {
+			console.error(`\n✖ baseline\n${problems.join("\n")}`);
+			return 1;
+		}
+		console.log("✔ Baseline");
+		return 0;
+	} finally {
+		rmSync(tempDir, { recursive: true, force: true });
+	}
+}
+
+checkPresets();
+buildProjectReport();
+
+const fixtures = collectFixtures(fixturesDir, []).sort();
+const failures =
+	checkExpectations(fixtures) + checkFixSnapshots(fixtures) + checkBaseline(fixtures);
+if (failures > 0) {
+	console.error(`\n${failures} fixture check(s) failed.`);
+	process.exit(1);
+}
 
 console.log("\nFixture expectations behaved as intended.");
@@ -0,0 +1,292 @@
+import { runRuleTests, runTypeScriptRuleTests } from "./rule-tester.mjs";
+
+runRuleTests("export-code-last", {
+	valid: [
+		`
+function a() {
+  return "ok";
+}
+
+export function b() {
+  return a();
+}
+`,
+		`
+export const VERSION = "1.0.0";
+
+const prefix = "v";
+
+export function formatVersion() {
+  return prefix + VERSION;
+}
+`,
+		`
+const settings = { mode: "local" };
+
+function getMode() {
+  return settings.mode;
+}
+
+getMode();
+
+export default settings;
+`,
+		{
+			code: `
+export * from "./shared.js";
+
+const local = 1;
+
+export function read() {
+  return local;
+}
+`,
+			options: [{ allowReExport: true }],
+		},
+		{
+			code: `
+export const LEVELS = Object.freeze(["debug", "info"]);
+export const SLUG_PATTERN = /^[a-z0-9-]+$/u;
+
+export function useCounter(initial) {
+  return { count: initial, next: () => increment(initial) };
+}
+
+function increment(value) {
+  return value + 1;
+}
+
+export function isLevel(level) {
+  return LEVELS.includes(level) && SLUG_PATTERN.test(level);
+}
+`,
+			options: [
+				{ allowFrozenLiterals: true, allowRegexLiterals: true, exemptNames: ["^use[A-Z]"] },
+			],
+		},
+	],
+	invalid: [
+		{
+			code: `
+export const format = (value) => String(value).trim();
+
+const suffix = "!";
+
+export function shout(value) {
+  return format(value) + suffix;
+}
+`,
+			output: `
+const suffix = "!";
+
+export function shout(value) {
+  return format(value) + suffix;
+}
+
+export const format = (value) => String(value).trim();
+`,
+			errors: [{ messageId: "exportsLast", line: 2, column: 1 }],
+		},
+		{
+			code: `
+function a() {
+  return "ok";
+}
+
+function b() {
+  return a();
+}
+
+export { b };
+`,
+			output: `
+function a() {
+  return "ok";
+}
+
+export function b() {
+  return a();
+}
+
+`,
+			errors: [{ messageId: "noExportSpecifiers", line: 10, column: 1 }],
+		},
+		{
+			// Leading JSDoc moves together with the export.
+			code: `
+/**
+ * Trim a display name.
+ * @param {string} value
+ */
+export function formatName(value) {
+  return value.trim() || fallbackName;
+}
+
+const fallbackName = "anonymous";
+`,
+			output: `
+const fallbackName = "anonymous";
+
+/**
+ * Trim a display name.
+ * @param {string} value
+ */
+export function formatName(value) {
+  return value.trim() || fallbackName;
+}
+`,
+			errors: [{ messageId: "exportsLast", line: 6, column: 1 }],
+		},
+		{
+			code: `
+function bar() {
+  return "bar";
+}
+
+export { bar as baz };
+`,
+			output: null,
+			errors: [{ messageId: "noExportSpecifiers", line: 6, column: 1 }],
+		},
+		{
+			// Moving a call can change evaluation order, so it is only suggested.
+			code: `
+export const config = loadConfig();
+
+const fallback = {};
+`,
+			output: null,
+			errors: [
+				{
+					messageId: "exportsLast",
+					line: 2,
+					column: 1,
+					suggestions: [
+						{
+							messageId: "moveExportToEnd",
+							output: `
+const fallback = {};
+
+export const config = loadConfig();
+`,
+						},
+					],
+				},
+			],
+		},
+		{
+			code: `
+const formatImpl = (value) => String(value);
+
+export const format = formatImpl;
+`,
+			output: null,
+			errors: [
+				{
+					messageId: "noExportAlias",
+					line: 4,
+					column: 1,
+					suggestions: [
+						{
+							messageId: "exportAliasTarget",
+							output: `
+export const format = (value) => String(value);
+
+`,
+						},
+					],
+				},
+			],
+		},
+		{
+			code: `
+export const handlers = new Map();
+
+function registerHandler(name, handler) {
+  handlers.set(name, handler);
+}
+
+registerHandler("ping", () => "pong");
+`,
+			output: null,
+			errors: [{ messageId: "exportOrderTdz", line: 2, column: 1 }],
+		},
+		{
+			code: `
+async function main() {
+  await run();
+}
+
+export default main;
+`,
+			errors: [{ messageId: "noDefaultExportIdentifier", line: 6, column: 1 }],
+		},
+		{
+			code: `
+export const LEVELS = ["debug", "info"];
+
+const fallback = "info";
+`,
+			output: `
+const fallback = "info";
+
+export const LEVELS = ["debug", "info"];
+`,
+			errors: [{ messageId: "exportsLast", line: 2, column: 1 }],
+		},
+	],
+});
+
+runTypeScriptRuleTests("export-code-last", {
+	valid: [
+		`
+export type Level = "debug" | "info";
+export interface Logger {
+  log(level: Level, message: string): void;
+}
+
+const prefix = "app";
+
+export function createLogger(): Logger {
+  return { log: (level, message) => console.log(prefix, level, message) };
+}
+`,
+		`
+export declare function now(): number;
+export declare const VERSION: string;
+
+const started = Date.now();
+
+export function uptime() {
+  return Date.now() - started;
+}
+`,
+	],
+	invalid: [
+		{
+			code: `
+export declare const VERSION: string;
+
+const started = Date.now();
+`,
+			options: [{ allowDeclare: false }],
+			output: `
+const started = Date.now();
+
+export declare const VERSION: string;
+`,
+			errors: [{ messageId: "exportsLast", line: 2, column: 1 }],
+		},
+		{
+			code: `
+export enum Level {
+  Debug,
+  Info,
+}
+
+const fallback = Level.Info;
+`,
+			errors: [{ messageId: "exportOrderTdz", line: 2, column: 1 }],
+		},
+	],
+});
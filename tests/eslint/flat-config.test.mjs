@@ -0,0 +1,32 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { Linter } from "eslint";
+import plugin from "../../oxlint/inhuman.plugin.js";
+
+const flatRecommended = plugin.configs["flat/recommended"];
+
+describe("flat/recommended", () => {
+	it("enables every rule", () => {
+		const enabled = Object.keys(flatRecommended.rules);
+		const ruleIds = Object.keys(plugin.rules).map((ruleName) => `inhuman/${ruleName}`);
+		assert.deepEqual(enabled.sort(), ruleIds.sort());
+	});
+
+	it("lints with ESLint", () => {
+		const linter = new Linter({ configType: "flat" });
+		const code = `
+export function formatName(user) {
+  if (!user) {
+    return "anonymous";
+  } else {
+    return user.name;
+  }
+}
+`;
+		const messages = linter.verify(code, [flatRecommended], "format-name.js");
+		assert.deepEqual(
+			messages.map((message) => message.ruleId),
+			["inhuman/no-else"],
+		);
+	});
+});
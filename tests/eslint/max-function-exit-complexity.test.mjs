@@ -0,0 +1,153 @@
+import { runRuleTests, runTypeScriptRuleTests } from "./rule-tester.mjs";
+
+runRuleTests("max-function-exit-complexity", {
+	valid: [
+		// Guard clauses and \`else if\` do not open a level.
+		`
+function settleInvoices(invoices, ledger) {
+  for (const invoice of invoices) {
+    if (invoice.paid) continue;
+    try {
+      if (invoice.amount === 0) {
+        ledger.close(invoice.id);
+        continue;
+      }
+      if (invoice.amount < 0) ledger.refund(invoice.id);
+      else if (invoice.amount > 0) ledger.charge(invoice.id);
+    } catch (error) {
+      ledger.retry(invoice.id, error);
+    }
+  }
+}
+`,
+		// Nested functions that are not callbacks are measured on their own.
+		`
+function createHandlers(routes) {
+  for (const route of routes) {
+    if (route.enabled) {
+      route.handle = function handle(request) {
+        for (const step of route.steps) {
+          if (step.matches(request)) step.run(request);
+        }
+      };
+    }
+  }
+}
+`,
+		{
+			code: `
+function requireOwner(team) {
+  for (const member of team.members) {
+    if (member.suspended) fail(member.id);
+  }
+}
+`,
+			options: [{ max: 1, terminatingCalls: ["fail"] }],
+		},
+	],
+	invalid: [
+		{
+			code: `
+function applyDiscounts(carts, rules) {
+  for (const cart of carts) {
+    try {
+      if (cart.items.length > 0) {
+        for (const rule of rules) {
+          cart.total -= rule.amount;
+        }
+      }
+    } catch (error) {
+      cart.error = error;
+    }
+  }
+}
+`,
+			errors: [{ messageId: "maxExitComplexity", line: 6, column: 9, data: { depth: 4, max: 3 } }],
+		},
+		{
+			// Blocks that end in a \`return\` but do more first still open a level.
+			code: `
+function resolvePrice(order) {
+  if (order.items) {
+    if (order.customer) {
+      if (order.coupon) {
+        if (order.coupon.valid) {
+          order.total -= order.coupon.amount;
+        }
+        return 3;
+      }
+      return 2;
+    }
+    return 1;
+  }
+}
+`,
+			errors: [{ messageId: "maxExitComplexity", line: 6, column: 9, data: { depth: 4, max: 3 } }],
+		},
+		{
+			// Callbacks count towards the function that passes them.
+			code: `
+function indexComments(threads, index) {
+  threads.forEach((thread) => {
+    thread.comments.forEach((comment) => {
+      if (comment.visible) {
+        index.set(comment.id, thread.id);
+      }
+    });
+  });
+}
+`,
+			options: [{ max: 2 }],
+			errors: [{ messageId: "maxExitComplexity", line: 5, column: 7 }],
+		},
+		{
+			code: `
+function countActive(sessions) {
+  let active = 0;
+  for (const session of sessions) {
+    if (session.expiresAt > Date.now()) active += 1;
+  }
+  return active;
+}
+`,
+			options: [{ max: 1 }],
+			errors: [{ messageId: "maxExitComplexity", line: 5, column: 5 }],
+		},
+	],
+});
+
+runTypeScriptRuleTests("max-function-exit-complexity", {
+	valid: [
+		{
+			code: `
+const fail = (id: string): never => {
+  throw new Error(id);
+};
+
+function requireOwner(team: { members: { id: string; suspended: boolean }[] }) {
+  for (const member of team.members) {
+    if (member.suspended) fail(member.id);
+  }
+}
+`,
+			options: [{ max: 1 }],
+		},
+	],
+	invalid: [
+		{
+			code: `
+const warn = (id: string): void => {
+  console.warn(id);
+};
+
+function requireOwner(team: { members: { id: string; suspended: boolean }[] }) {
+  for (const member of team.members) {
+    if (member.suspended) warn(member.id);
+  }
+}
+`,
+			options: [{ max: 1 }],
+			errors: [{ messageId: "maxExitComplexity", line: 8, column: 5, data: { depth: 2, max: 1 } }],
+		},
+	],
+});
@@ -0,0 +1,114 @@
+import { runRuleTests, runTypeScriptRuleTests } from "./rule-tester.mjs";
+
+runRuleTests("no-boolean-flag-params", {
+	valid: [
+		"function renderTree(node, { expanded = false, highlight = false } = {}) {}",
+		// Setters and callbacks passed to a call have an imposed signature.
+		`
+class Panel {
+  set visible(value = false) {}
+}
+items.forEach((item, skip = false) => item.render(skip));
+`,
+		// Calls are only checked for functions declared in the same file.
+		"render(node, true, false);",
+		{
+			code: `
+function logLine(message, verbose = false) {}
+
+logLine("ready", true);
+`,
+			options: [{ allowTrailingFlag: true }],
+		},
+		{
+			code: `
+function logLine(message, verbose = false, timestamp = false) {}
+
+export function logStatus(status, verbose) {
+  return logLine(status, verbose, true);
+}
+`,
+			options: [{ exportedOnly: true }],
+		},
+	],
+	invalid: [
+		{
+			code: "export function renderTree(node, expanded = true, highlight = false) {}",
+			errors: [
+				{ messageId: "booleanFlagParam", line: 1, column: 34 },
+				{ messageId: "booleanFlagParam", line: 1, column: 51 },
+			],
+		},
+		{
+			code: `
+function openPanel(panel, animate, focus) {
+  panel.show({ animate, focus });
+}
+
+openPanel(panel, true, false);
+`,
+			errors: [
+				{ messageId: "booleanFlagArgument", line: 6, column: 18 },
+				{ messageId: "booleanFlagArgument", line: 6, column: 24 },
+			],
+		},
+		{
+			code: `
+const openPanel = (panel, animate = false, focus = false) => panel.show({ animate, focus });
+
+openPanel(panel, true);
+`,
+			options: [{ allowTrailingFlag: true }],
+			errors: [
+				{ messageId: "booleanFlagParam", line: 2, column: 27 },
+				{ messageId: "booleanFlagParam", line: 2, column: 44 },
+			],
+		},
+		{
+			code: `
+function logLine(message, verbose = false) {}
+
+export function logStatus(status, verbose = false, timestamp = false) {
+  return logLine(status, true);
+}
+`,
+			options: [{ exportedOnly: true }],
+			errors: [
+				{ messageId: "booleanFlagParam", line: 4, column: 35 },
+				{ messageId: "booleanFlagParam", line: 4, column: 52 },
+			],
+		},
+	],
+});
+
+runTypeScriptRuleTests("no-boolean-flag-params", {
+	valid: [
+		`
+type RenderOptions = { expanded: boolean };
+
+function renderNode(node: string, { expanded }: RenderOptions) {}
+
+class Toggle {
+  set on(value: boolean) {}
+}
+`,
+		"function onClick(this: HTMLElement, event: MouseEvent) {}",
+	],
+	invalid: [
+		{
+			code: "export function renderTree(node: string, expanded: boolean, highlight = false) {}",
+			errors: [
+				{ messageId: "booleanFlagParam", line: 1, column: 42 },
+				{ messageId: "booleanFlagParam", line: 1, column: 61 },
+			],
+		},
+		{
+			code: `
+export class Tree {
+  constructor(private readonly expanded: boolean) {}
+}
+`,
+			errors: [{ messageId: "booleanFlagParam", line: 3, column: 15 }],
+		},
+	],
+});
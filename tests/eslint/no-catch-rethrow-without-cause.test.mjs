@@ -0,0 +1,194 @@
+import { runRuleTests } from "./rule-tester.mjs";
+
+runRuleTests("no-catch-rethrow-without-cause", {
+	valid: [
+		`
+try {
+  load();
+} catch (error) {
+  throw new Error("Could not load", { cause: error });
+}
+`,
+		`
+try {
+  load();
+} catch (error) {
+  throw new TypeError(\`Could not load: \${error.message}\`);
+}
+`,
+		`
+try {
+  load();
+} catch (error) {
+  throw error;
+}
+`,
+		// Only constructors named like errors are checked.
+		`
+request().catch(() => {
+  throw new Response("Not found", { status: 404 });
+});
+`,
+		{
+			code: `
+try {
+  load();
+} catch (error) {
+  throw new VError(error, "Could not load");
+}
+`,
+			options: [{ causeArguments: { VError: 0 } }],
+		},
+	],
+	invalid: [
+		{
+			code: `
+try {
+  load();
+} catch (error) {
+  throw new Error("Could not load");
+}
+`,
+			errors: [
+				{
+					messageId: "rethrowWithoutCause",
+					line: 5,
+					column: 9,
+					suggestions: [
+						{
+							messageId: "addErrorCause",
+							output: `
+try {
+  load();
+} catch (error) {
+  throw new Error("Could not load", { cause: error });
+}
+`,
+						},
+					],
+				},
+			],
+		},
+		{
+			code: `
+request().catch((error) => {
+  throw new errors.HttpError("Request failed", { status: 500 });
+});
+`,
+			errors: [
+				{
+					messageId: "rethrowWithoutCause",
+					line: 3,
+					column: 9,
+					suggestions: [
+						{
+							messageId: "addErrorCause",
+							output: `
+request().catch((error) => {
+  throw new errors.HttpError("Request failed", { status: 500, cause: error });
+});
+`,
+						},
+					],
+				},
+			],
+		},
+		{
+			// The callback's own `error` parameter shadows the caught one.
+			code: `
+try {
+  load();
+} catch (error) {
+  throw new Error(describe((error) => error.message));
+}
+`,
+			errors: [
+				{
+					messageId: "rethrowWithoutCause",
+					line: 5,
+					column: 9,
+					suggestions: [
+						{
+							messageId: "addErrorCause",
+							output: `
+try {
+  load();
+} catch (error) {
+  throw new Error(describe((error) => error.message), { cause: error });
+}
+`,
+						},
+					],
+				},
+			],
+		},
+		{
+			code: `
+try {
+  load();
+} catch {
+  throw new TypeError("Could not load");
+}
+`,
+			errors: [{ messageId: "rethrowWithoutCause", line: 5, column: 9, suggestions: [] }],
+		},
+		{
+			code: `
+try {
+  parse(text);
+} catch (parseError) {
+  throw new WrappedError("Manifest is not valid JSON");
+}
+`,
+			options: [{ causeArguments: { WrappedError: 1 } }],
+			errors: [
+				{
+					messageId: "rethrowWithoutCause",
+					line: 5,
+					column: 9,
+					suggestions: [
+						{
+							messageId: "addErrorCause",
+							output: `
+try {
+  parse(text);
+} catch (parseError) {
+  throw new WrappedError("Manifest is not valid JSON", parseError);
+}
+`,
+						},
+					],
+				},
+			],
+		},
+		{
+			code: `
+try {
+  load();
+} catch (error) {
+  throw new VError("Could not load");
+}
+`,
+			options: [{ causeArguments: { VError: 0 } }],
+			errors: [
+				{
+					messageId: "rethrowWithoutCause",
+					line: 5,
+					column: 9,
+					suggestions: [
+						{
+							messageId: "addErrorCause",
+							output: `
+try {
+  load();
+} catch (error) {
+  throw new VError(error, "Could not load");
+}
+`,
+						},
+					],
+				},
+			],
+		},
+	],
+});
@@ -0,0 +1,212 @@
+import { runRuleTests } from "./rule-tester.mjs";
+
+runRuleTests("no-else", {
+	valid: [
+		`
+function getTier(score) {
+  if (score >= 90) return "A";
+  if (score >= 80) return "B";
+  return "C";
+}
+`,
+		"const label = isOpen ? 'open' : 'closed';",
+	],
+	invalid: [
+		{
+			code: `
+function formatName(user) {
+  if (!user) {
+    return "anonymous";
+  } else {
+    return user.name;
+  }
+}
+`,
+			output: `
+function formatName(user) {
+  if (!user) {
+    return "anonymous";
+  }
+  return user.name;
+}
+`,
+			errors: [{ messageId: "noElse", line: 5, column: 10 }],
+		},
+		{
+			// The whole chain is flattened from its first `if`.
+			code: `
+function getTier(score) {
+  if (score >= 90) {
+    return "A";
+  } else if (score >= 80) {
+    return "B";
+  } else {
+    return "C";
+  }
+}
+`,
+			output: `
+function getTier(score) {
+  if (score >= 90) {
+    return "A";
+  }
+  if (score >= 80) {
+    return "B";
+  }
+  return "C";
+}
+`,
+			errors: [
+				{ messageId: "noElse", line: 5, column: 10 },
+				{ messageId: "noElse", line: 7, column: 10 },
+			],
+		},
+		{
+			code: `
+for (const item of items) {
+  if (item.skipped) continue;
+  else process(item);
+}
+`,
+			output: `
+for (const item of items) {
+  if (item.skipped) continue;
+  process(item);
+}
+`,
+			errors: [{ messageId: "noElse", line: 4, column: 8 }],
+		},
+		{
+			// Hoisting \`label\` would shadow the one returned after the chain.
+			code: `
+const label = "none";
+
+function describe(item) {
+  if (!item) {
+    return label;
+  } else {
+    const label = item.name;
+    log(label);
+  }
+  return label;
+}
+`,
+			output: null,
+			errors: [{ messageId: "noElse", line: 7, column: 10 }],
+		},
+		{
+			code: `
+function greet(user) {
+  if (user.admin) {
+    audit(user);
+  } else if (user.guest) track(user);
+  else {
+    welcome(user);
+  }
+  done();
+}
+`,
+			output: null,
+			errors: [
+				{
+					messageId: "noElse",
+					line: 5,
+					column: 10,
+					suggestions: [
+						{
+							messageId: "extractElseFunction",
+							output: `
+function greet(user) {
+  const runBranches = () => {
+    if (user.admin) {
+      audit(user);
+      return;
+    }
+    if (user.guest) { track(user); return; }
+    welcome(user);
+  };
+  runBranches();
+  done();
+}
+`,
+						},
+					],
+				},
+				{
+					messageId: "noElse",
+					line: 6,
+					column: 8,
+					suggestions: [
+						{
+							messageId: "extractElseFunction",
+							output: `
+function greet(user) {
+  const runBranches = () => {
+    if (user.admin) {
+      audit(user);
+      return;
+    }
+    if (user.guest) { track(user); return; }
+    welcome(user);
+  };
+  runBranches();
+  done();
+}
+`,
+						},
+					],
+				},
+			],
+		},
+		{
+			code: `
+async function load(id) {
+  if (cache.has(id)) {
+    use(cache.get(id));
+  } else {
+    await fetchUser(id);
+  }
+}
+`,
+			output: null,
+			errors: [
+				{
+					messageId: "noElse",
+					line: 5,
+					column: 10,
+					suggestions: [
+						{
+							messageId: "extractElseFunction",
+							output: `
+async function load(id) {
+  const runBranches = async () => {
+    if (cache.has(id)) {
+      use(cache.get(id));
+      return;
+    }
+    await fetchUser(id);
+  };
+  await runBranches();
+}
+`,
+						},
+					],
+				},
+			],
+		},
+		{
+			// A \`return\` in the moved code would return from the extracted function instead.
+			code: `
+function pick(options) {
+  if (options.cached) {
+    warm();
+  } else {
+    return load();
+  }
+}
+`,
+			output: null,
+			errors: [{ messageId: "noElse", line: 5, column: 10, suggestions: [] }],
+		},
+	],
+});
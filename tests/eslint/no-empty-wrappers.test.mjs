@@ -0,0 +1,247 @@
+import { runRuleTests, runTypeScriptRuleTests } from "./rule-tester.mjs";
+
+runRuleTests("no-empty-wrappers", {
+	valid: [
+		`
+import { audit, ledger } from "./ledger";
+
+export const creditAccount = ledger.apply.bind(ledger, "credit");
+export const debitAccount = (account, amount) => ledger.apply("debit", account, amount);
+export const accounts = {
+  close(account) {
+    audit(account);
+    return ledger.close(account);
+  },
+};
+`,
+		// Only exported wrappers are reported.
+		`
+import { repository } from "./repository";
+
+const findUser = (id) => repository.findById(id);
+
+export function loadUser(id) {
+  return findUser(id) ?? repository.create(id);
+}
+`,
+		{
+			code: `
+import { metrics, queue } from "./jobs";
+
+export const enqueue = (job) => queue.push(job);
+export const flush = function () {
+  return queue.flush();
+};
+export const counters = {
+  reset(name) {
+    return this.store.reset(name);
+  },
+};
+export class Scheduler {
+  static schedule(job) {
+    return queue.schedule(job);
+  }
+}
+export const drain = queue.drain.bind(queue);
+`,
+			options: [
+				{
+					checkConciseArrows: false,
+					checkFunctionExpressions: false,
+					checkObjectMethods: false,
+					checkStaticMethods: false,
+					checkThisMethods: false,
+					checkBindCall: false,
+				},
+			],
+		},
+		{
+			code: `
+import { readFile } from "node:fs/promises";
+
+export function readText(path, options) {
+  return readFile(path, options);
+}
+`,
+			options: [{ allowModuleBoundary: "packages" }],
+		},
+		{
+			code: `
+import { format } from "./format";
+
+export function formatDate(date) {
+  return format(date);
+}
+`,
+			options: [{ allowModuleBoundary: "all" }],
+		},
+	],
+	invalid: [
+		{
+			code: `
+import { userRepository } from "./repositories";
+
+export const findUser = (id) => userRepository.findById(id);
+`,
+			errors: [{ messageId: "noEmptyWrapper", line: 4, column: 25 }],
+		},
+		{
+			code: `
+import { writeLog } from "./log";
+
+export const log = function (...entries) {
+  return writeLog(...entries);
+};
+`,
+			errors: [{ messageId: "noEmptyWrapper", line: 4, column: 20 }],
+		},
+		{
+			code: `
+import { cache, serialize } from "./storage";
+
+export const readCache = cache.read.bind(cache);
+
+export function toJson(value) {
+  return serialize.call(this, value);
+}
+`,
+			errors: [
+				{ messageId: "noEmptyWrapper", line: 4, column: 26 },
+				{ messageId: "noEmptyWrapper", line: 6, column: 8 },
+			],
+		},
+		{
+			code: `
+import { http } from "./http";
+
+export default {
+  fetchOrders(query) {
+    return http.get(query);
+  },
+  cancelOrder: (orderId) => http.delete(orderId),
+};
+
+export class Notifications {
+  static send(message, recipient) {
+    return http.post(message, recipient);
+  }
+}
+`,
+			errors: [
+				{ messageId: "noEmptyWrapper", line: 5, column: 14 },
+				{ messageId: "noEmptyWrapper", line: 8, column: 16 },
+				{ messageId: "noEmptyWrapper", line: 12, column: 14 },
+			],
+		},
+		{
+			code: `
+export const session = {
+  refresh(force) {
+    return this.client.refresh(force);
+  },
+};
+`,
+			errors: [{ messageId: "noEmptyWrapper", line: 3, column: 10 }],
+		},
+		{
+			code: `
+import { format } from "./format";
+
+export function formatDate(date) {
+  return format(date);
+}
+`,
+			options: [{ allowModuleBoundary: "packages" }],
+			errors: [{ messageId: "noEmptyWrapper", line: 4, column: 8 }],
+		},
+	],
+});
+
+runTypeScriptRuleTests("no-empty-wrappers", {
+	valid: [
+		{
+			code: `
+type Order = { id: string };
+
+function assertShape(value: unknown, keys: string[]): void {}
+function isShape(value: unknown): boolean {
+  return value != null;
+}
+function trackEvent(event: Event): void {}
+function formatValue(value: unknown): string {
+  return String(value);
+}
+function decode<T>(raw: string): T {
+  return JSON.parse(raw);
+}
+
+export function assertOrder(value: unknown, keys: string[]): asserts value is Order {
+  assertShape(value, keys);
+}
+export function isOrder(value: unknown): value is Order {
+  return isShape(value);
+}
+export function onResize(this: Window, event: UIEvent) {
+  return trackEvent(event);
+}
+export function format(value: number): string;
+export function format(value: Date): string;
+export function format(value: number | Date): string {
+  return formatValue(value);
+}
+export function decodeOrder(raw: string): Order {
+  return decode(raw);
+}
+`,
+			options: [{ allowTypeNarrowing: true }],
+		},
+		{
+			code: `
+import { decode } from "./codec";
+
+export const decodeIds = (raw: string) => decode<string[]>(raw);
+`,
+			options: [{ allowTypeNarrowing: true }],
+		},
+	],
+	invalid: [
+		{
+			code: `
+function sendEmail(to: string, body: string): Promise<void> {
+  return fetch(to, { method: "POST", body }).then(() => undefined);
+}
+
+export function notify(to: string, body: string): Promise<void> {
+  return sendEmail(to, body);
+}
+`,
+			options: [{ allowTypeNarrowing: true }],
+			errors: [{ messageId: "noEmptyWrapper", line: 6, column: 8 }],
+		},
+		{
+			// The imported callee's signature is not visible, so a return type alone is not narrowing.
+			code: `
+import * as db from "./db";
+
+export function save(item: { id: string }): Promise<void> {
+  return db.save(item);
+}
+`,
+			options: [{ allowTypeNarrowing: true }],
+			errors: [{ messageId: "noEmptyWrapper", line: 4, column: 8 }],
+		},
+		{
+			code: `
+function formatValue(value: unknown): string {
+  return String(value);
+}
+
+export function format(value: number): string;
+export function format(value: number): string {
+  return formatValue(value);
+}
+`,
+			errors: [{ messageId: "noEmptyWrapper", line: 7, column: 8 }],
+		},
+	],
+});
@@ -0,0 +1,47 @@
+import { runRuleTests } from "./rule-tester.mjs";
+
+runRuleTests("no-nested-ternary-chains", {
+	valid: [
+		"const name = user.nickname ? user.nickname : user.fullName;",
+		// A ternary inside a callback starts a new chain.
+		"const rows = list.length > 0 ? list.map((item) => (item.admin ? 'admin' : 'user')) : [];",
+		{
+			code: "const level = alert.critical ? 'critical' : alert.acknowledged ? 'info' : 'warning';",
+			options: [{ maxDepth: 2 }],
+		},
+		{
+			code: "dryRun ? alert.preview() : alert.send();",
+			options: [{ checkStatements: false }],
+		},
+	],
+	invalid: [
+		{
+			code: "const label = order.express ? 'Express' : order.international ? 'International' : 'Standard';",
+			errors: [{ messageId: "nestedTernary", line: 1, column: 43 }],
+		},
+		{
+			code: "const label = a ? b ? 'ab' : 'a' : c ? 'c' : 'none';",
+			errors: [
+				{ messageId: "nestedTernary", line: 1, column: 19 },
+				{ messageId: "nestedTernary", line: 1, column: 36 },
+			],
+		},
+		{
+			code: `
+const priority = ticket.blocker
+  ? "P0"
+  : ticket.customerFacing
+    ? ticket.escalated
+      ? "P1"
+      : "P2"
+    : "P3";
+`,
+			options: [{ maxDepth: 2 }],
+			errors: [{ messageId: "nestedTernary", line: 5, column: 7 }],
+		},
+		{
+			code: "menu.isOpen ? menu.close() : menu.open();",
+			errors: [{ messageId: "ternaryStatement", line: 1, column: 1 }],
+		},
+	],
+});
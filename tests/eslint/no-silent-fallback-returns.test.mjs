@@ -0,0 +1,112 @@
+import { runRuleTests } from "./rule-tester.mjs";
+
+runRuleTests("no-silent-fallback-returns", {
+	valid: [
+		`
+async function listTeams(api, logger) {
+  let response;
+  try {
+    response = await api.fetch("/teams");
+  } catch (error) {
+    logger.warn("Team list unavailable", error);
+    return [];
+  }
+  if (!response.ok) throw new Error(\`Team list failed with \${response.status}\`);
+  if (response.status === 204) return [];
+  return response.json();
+}
+`,
+		// A bare \`return;\` is a guard, not a fallback value.
+		`
+function close(handle) {
+  if (handle.error) return;
+  handle.close();
+}
+`,
+		{
+			code: `
+function tryParseJson(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+const findUserOrNull = (users, id) => {
+  const result = users.lookup(id);
+  if (result.error) return null;
+  return result.user;
+};
+`,
+			options: [{ allowFunctionNames: ["^try[A-Z]", "OrNull$"] }],
+		},
+		{
+			code: `
+function readRows(result) {
+  if (!result.ok) return [];
+  return result.rows;
+}
+`,
+			options: [{ failurePattern: "^failed$" }],
+		},
+	],
+	invalid: [
+		{
+			code: `
+function readSettings(storage) {
+  try {
+    return JSON.parse(storage.getItem("settings"));
+  } catch {
+    return {};
+  }
+}
+`,
+			errors: [{ messageId: "silentCatchFallback", line: 5, column: 5 }],
+		},
+		{
+			code: `
+async function getRecentOrders(client, cache) {
+  try {
+    return await client.orders.recent();
+  } catch (error) {
+    return cache.orders ?? [];
+  }
+}
+`,
+			errors: [{ messageId: "silentCatchFallback", line: 5, column: 5 }],
+		},
+		{
+			code: `
+async function listInvoices(api) {
+  const response = await api.fetch("/invoices");
+  if (!response.ok) return [];
+  return response.json();
+}
+`,
+			errors: [{ messageId: "silentGuardFallback", line: 4, column: 3 }],
+		},
+		{
+			code: `
+function parseUser(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+`,
+			options: [{ allowFunctionNames: ["^try[A-Z]", "OrNull$"] }],
+			errors: [{ messageId: "silentCatchFallback", line: 5, column: 5 }],
+		},
+		{
+			code: `
+function readRows(result) {
+  if (result.failed) return [];
+  return result.rows;
+}
+`,
+			options: [{ failurePattern: "^failed$" }],
+			errors: [{ messageId: "silentGuardFallback", line: 3, column: 3 }],
+		},
+	],
+});
@@ -0,0 +1,199 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { Linter } from "eslint";
+import plugin from "../../oxlint/inhuman.plugin.js";
+import { runRuleTests } from "./rule-tester.mjs";
+
+runRuleTests("no-swallowed-catch", {
+	valid: [
+		`
+try {
+  parse(input);
+} catch (error) {
+  console.error("Failed to parse", error);
+}
+`,
+		`
+try {
+  probeOptionalFeature();
+} catch {
+  // inhuman-ignore: older runtimes throw here, which means "not supported"
+}
+`,
+		// Comment-like text inside a string is not a justification.
+		`
+try {
+  load();
+} catch (error) {
+  report("// inhuman-ignore: not a comment", error);
+}
+`,
+		`
+async function syncAll(jobs, logger) {
+  const outcomes = await Promise.allSettled(jobs.map((job) => job.run()));
+  for (const outcome of outcomes) {
+    if (outcome.status === "rejected") logger.warn(outcome.reason);
+  }
+  await cleanup().catch((error) => console.error("cleanup failed", error));
+}
+`,
+		// Unused bindings are only reported with \`reportUnusedBinding\`.
+		`
+function load() {
+  try {
+    return read();
+  } catch (error) {
+    return fallback();
+  }
+}
+`,
+		{
+			code: `
+function load() {
+  try {
+    return read();
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+  try {
+    return readDefault();
+  } catch {
+    logger.error("No default found");
+    return fallback();
+  }
+}
+`,
+			options: [
+				{ reportUnusedBinding: true, reportOptionalCatchBinding: true, handlers: ["logger.*"] },
+			],
+		},
+		{
+			code: `
+try {
+  cleanup();
+} catch {
+  // skip: best effort
+}
+`,
+			options: [{ justificationPattern: "^skip:(.*)$", minJustificationLength: 5 }],
+		},
+	],
+	invalid: [
+		{
+			code: `
+function safeParse(json) {
+  try {
+    return JSON.parse(json);
+  } catch (err) {
+    // ignore: bad input
+  }
+}
+`,
+			errors: [{ messageId: "noSwallowedCatch", line: 5, column: 17 }],
+		},
+		{
+			code: `
+try {
+  cleanup();
+} catch {
+  // inhuman-ignore: fine
+}
+`,
+			errors: [{ messageId: "shortJustification", line: 5, column: 3 }],
+		},
+		{
+			code: `
+cache.prefetch("users").catch(() => {});
+metrics.flush().then(() => metrics.reset(), () => undefined);
+const settings = await cache.load("settings").catch(() => null);
+`,
+			errors: [
+				{ messageId: "noSwallowedCatch", line: 2, column: 37 },
+				{ messageId: "noSwallowedCatch", line: 3, column: 45 },
+				{ messageId: "noSwallowedCatch", line: 4, column: 53 },
+			],
+		},
+		{
+			code: "await Promise.allSettled(subscribers.map((subscriber) => subscriber.send(message)));",
+			errors: [{ messageId: "uninspectedAllSettled", line: 1, column: 7 }],
+		},
+		{
+			code: `
+function readLock(path) {
+  let contents = "";
+  try {
+    contents = read(path);
+  } finally {
+    return contents;
+  }
+}
+`,
+			errors: [{ messageId: "finallyReturn", line: 7, column: 5 }],
+		},
+		{
+			code: `
+async function loadProfile(api, setLoading) {
+  try {
+    return await api.fetchProfile();
+  } catch (err) {
+    setLoading(false);
+  }
+  try {
+    return await api.fetchDefaults();
+  } catch {
+    setLoading(false);
+  }
+}
+`,
+			options: [{ reportUnusedBinding: true, reportOptionalCatchBinding: true }],
+			errors: [
+				{ messageId: "discardedCatchError", line: 5, column: 12 },
+				{ messageId: "discardedCatchError", line: 10, column: 11 },
+			],
+		},
+	],
+});
+
+// Older ESLint source code objects have no `getCommentsInside`, only `getAllComments`.
+describe("no-swallowed-catch without getCommentsInside", () => {
+	const rule = plugin.rules["no-swallowed-catch"];
+	const legacyRule = {
+		meta: rule.meta,
+		create(context) {
+			const sourceCode = new Proxy(context.sourceCode, {
+				get(target, property) {
+					if (property === "getCommentsInside") return undefined;
+					const value = Reflect.get(target, property, target);
+					return typeof value === "function" ? value.bind(target) : value;
+				},
+			});
+			return rule.create(Object.create(context, { sourceCode: { value: sourceCode } }));
+		},
+	};
+
+	function lint(code) {
+		const linter = new Linter({ configType: "flat" });
+		const config = {
+			plugins: { legacy: { rules: { catch: legacyRule } } },
+			rules: { "legacy/catch": "error" },
+		};
+		return linter.verify(code, [config], "legacy.js").map((message) => message.messageId);
+	}
+
+	it("finds justifications through getAllComments", () => {
+		const code = `
+try {
+  probeOptionalFeature();
+} catch {
+  // inhuman-ignore: older runtimes throw here, which means "not supported"
+}
+`;
+		assert.deepEqual(lint(code), []);
+	});
+
+	it("still reports a catch block that only holds a comment", () => {
+		assert.deepEqual(lint("try {\n  load();\n} catch {\n  /* ignore */\n}\n"), [
+			"noSwallowedCatch",
+		]);
+	});
+});
@@ -0,0 +1,27 @@
+import { runRuleTests } from "./rule-tester.mjs";
+
+runRuleTests("no-switch", {
+	valid: [
+		`
+const renderers = { ok: () => "ok" };
+function renderStatus(status) {
+  return renderers[status]?.() ?? "unknown";
+}
+`,
+	],
+	invalid: [
+		{
+			code: `
+function renderStatus(status) {
+  switch (status) {
+    case "ok":
+      return "ok";
+    default:
+      return "unknown";
+  }
+}
+`,
+			errors: [{ messageId: "noSwitch", line: 3, column: 3 }],
+		},
+	],
+});
@@ -0,0 +1,262 @@
+import { runRuleTests, runTypeScriptRuleTests } from "./rule-tester.mjs";
+
+runRuleTests("require-guard-clauses", {
+	valid: [
+		`
+function renderUser(user) {
+  if (!user) return "anonymous";
+  return user.name.toUpperCase();
+}
+`,
+		`
+function loadUser(id) {
+  if (id == null || !cache.has(id)) {
+    return null;
+  }
+}
+`,
+		{
+			code: `
+function check(user) {
+  if (!user) {
+    fail("missing user");
+  }
+}
+`,
+			options: [{ terminatingCalls: ["fail"] }],
+		},
+		{
+			code: `
+function trackVisit(page, analytics) {
+  if (analytics.enabled) {
+    analytics.track(page.path);
+  }
+}
+`,
+			options: [{ minConsequentStatements: 2 }],
+		},
+		// Loops are only checked with \`checkLoops\`.
+		`
+function sumPositive(values) {
+  let total = 0;
+  for (const value of values) {
+    if (value > 0) {
+      total += value;
+    }
+  }
+  return total;
+}
+`,
+	],
+	invalid: [
+		{
+			code: `
+function renderUser(user) {
+  if (user) {
+    return user.name.toUpperCase();
+  }
+}
+`,
+			output: `
+function renderUser(user) {
+  if (!user) return;
+  return user.name.toUpperCase();
+}
+`,
+			errors: [{ messageId: "requireGuardClause", line: 3, column: 3 }],
+		},
+		{
+			code: `
+function applyDiscount(order, threshold) {
+  if (order.total >= threshold) {
+    // Loyal customers get the bigger discount.
+    const rate = order.loyal ? 0.2 : 0.1;
+    order.total -= order.total * rate;
+  }
+}
+`,
+			output: `
+function applyDiscount(order, threshold) {
+  if (order.total < threshold) return;
+  // Loyal customers get the bigger discount.
+  const rate = order.loyal ? 0.2 : 0.1;
+  order.total -= order.total * rate;
+}
+`,
+			errors: [{ messageId: "requireGuardClause", line: 3, column: 3 }],
+		},
+		{
+			code: `
+function check(user) {
+  if (!user) {
+    fail("missing user");
+  }
+}
+`,
+			output: `
+function check(user) {
+  if (user) return;
+  fail("missing user");
+}
+`,
+			errors: [{ messageId: "requireGuardClause", line: 3, column: 3 }],
+		},
+		{
+			// Static blocks cannot return, and generators are left alone.
+			code: `
+class FeatureFlags {
+  static {
+    if (typeof process !== "undefined") {
+      FeatureFlags.debug = process.env.DEBUG === "1";
+    }
+  }
+}
+function* readAll(source) {
+  if (source) {
+    yield* source;
+  }
+}
+`,
+			output: null,
+			errors: [
+				{ messageId: "requireGuardClause", line: 4, column: 5 },
+				{ messageId: "requireGuardClause", line: 10, column: 3 },
+			],
+		},
+		{
+			// A body that does several things before it exits is a wrapper, not a guard.
+			code: `
+function reconcile(local, remote) {
+  if (local !== remote) {
+    pullChanges(remote);
+    mergeChanges(local, remote);
+    pushChanges(local);
+    notifyPeers(local);
+    return local;
+  }
+}
+`,
+			output: `
+function reconcile(local, remote) {
+  if (local === remote) return;
+  pullChanges(remote);
+  mergeChanges(local, remote);
+  pushChanges(local);
+  notifyPeers(local);
+  return local;
+}
+`,
+			errors: [{ messageId: "requireGuardClause", line: 3, column: 3 }],
+		},
+		{
+			// Hoisting \`config\` out of the block would put the test in its temporal dead zone.
+			code: `
+function applyConfig() {
+  if (config) {
+    const config = normalize(globalConfig);
+    apply(config);
+  }
+}
+`,
+			output: null,
+			errors: [{ messageId: "requireGuardClause", line: 3, column: 3 }],
+		},
+		{
+			code: `
+function buildLabel(item) {
+  if (item.visible) {
+    item.label = item.name;
+  }
+  return item;
+}
+`,
+			options: [{ allowTrailingStatements: true }],
+			output: null,
+			errors: [{ messageId: "requireGuardClause", line: 3, column: 3 }],
+		},
+		{
+			code: `
+function notifyOwner(ticket, mailer) {
+  if (!ticket.owner) return;
+  if (ticket.owner.email) {
+    if (ticket.owner.subscribed) {
+      mailer.send(ticket.owner.email);
+    }
+    mailer.log(ticket);
+  }
+  mailer.flush();
+}
+`,
+			options: [{ maxNestingDepth: 1 }],
+			errors: [{ messageId: "maxNestingDepth", line: 5, column: 5 }],
+		},
+		{
+			code: `
+function sumPositive(values) {
+  let total = 0;
+  for (const value of values) {
+    if (value > 0) {
+      total += value;
+    }
+  }
+  return total;
+}
+`,
+			options: [{ checkLoops: true }],
+			output: `
+function sumPositive(values) {
+  let total = 0;
+  for (const value of values) {
+    if (value <= 0) continue;
+    total += value;
+  }
+  return total;
+}
+`,
+			errors: [{ messageId: "requireLoopGuardClause", line: 5, column: 5 }],
+		},
+	],
+});
+
+runTypeScriptRuleTests("require-guard-clauses", {
+	valid: [
+		// Functions declared to return `never` end a guard like `throw` does.
+		`
+function fail(message: string): never {
+  throw new Error(message);
+}
+
+function requireString(value: unknown) {
+  if (typeof value !== "string") {
+    fail("expected a string");
+  }
+}
+`,
+	],
+	invalid: [
+		{
+			code: `
+function warn(message: string): void {
+  console.warn(message);
+}
+
+function requireString(value: unknown) {
+  if (typeof value !== "string") {
+    warn("expected a string");
+  }
+}
+`,
+			output: `
+function warn(message: string): void {
+  console.warn(message);
+}
+
+function requireString(value: unknown) {
+  if (typeof value === "string") return;
+  warn("expected a string");
+}
+`,
+			errors: [{ messageId: "requireGuardClause", line: 7, column: 3 }],
+		},
+	],
+});
@@ -0,0 +1,38 @@
+/**
+ * Runs the inhuman rules through ESLint's `RuleTester`, so they are checked
+ * under ESLint as well as under oxlint, which the fixtures in `examples` cover.
+ * TypeScript-only behavior runs through `@typescript-eslint/parser`.
+ */
+
+import { describe, it } from "node:test";
+import tsParser from "@typescript-eslint/parser";
+import { RuleTester } from "eslint";
+import plugin from "../../oxlint/inhuman.plugin.js";
+
+RuleTester.describe = describe;
+RuleTester.it = it;
+RuleTester.itOnly = it.only;
+
+const ruleTester = new RuleTester({
+	languageOptions: {
+		ecmaVersion: "latest",
+		sourceType: "module",
+		parserOptions: { ecmaFeatures: { jsx: true } },
+	},
+});
+
+const typeScriptRuleTester = new RuleTester({
+	languageOptions: {
+		parser: tsParser,
+		ecmaVersion: "latest",
+		sourceType: "module",
+	},
+});
+
+export function runRuleTests(ruleName, tests) {
+	ruleTester.run(`inhuman/${ruleName}`, plugin.rules[ruleName], tests);
+}
+
+export function runTypeScriptRuleTests(ruleName, tests) {
+	typeScriptRuleTester.run(`inhuman/${ruleName} (TypeScript)`, plugin.rules[ruleName], tests);
+}